@@ -0,0 +1,101 @@
+/**
+ * MyDegrees Enhancer – Diagnostics log (loaded by service_worker.js)
+ *
+ * Most failures are handled quietly so the site stays usable, which also
+ * means a MyDegrees markup or API change just makes features stop working.
+ * This keeps a small log of what went wrong, for the popup to show and copy
+ * into bug reports:
+ *
+ *   error     a feature failed to start, or one of its passes threw
+ *   api       a MyDegrees API call failed (HTTP status or network error)
+ *   selector  a selector health check started failing on a planner page
+ *
+ * The log is a ring buffer (newest last, up to MAX_DIAGNOSTICS) and the
+ * latest selector health report is kept next to it. The service worker is
+ * the only writer; content scripts send their entries here by message.
+ * Nothing in it identifies the student (no ids, no query strings).
+ */
+
+/***********************
+ * Config
+ ***********************/
+
+const DIAGNOSTICS_KEY = "mdeDiagnostics_v1"; // local: [{ at, kind, source, message }], oldest first
+const SELECTOR_HEALTH_KEY = "mdeSelectorHealth_v1"; // local: { at, url, checks: [{ id, label, ok, detail }] }
+const MAX_DIAGNOSTICS = 200;
+const MAX_MESSAGE_LENGTH = 500;
+
+/***********************
+ * Log
+ ***********************/
+
+// Writes are chained so entries logged together don't overwrite each other
+let diagnosticsWrite = Promise.resolve();
+
+/**
+ * Appends an entry to the log.
+ * @param {{ kind: "error"|"api"|"selector", source: string, message: string }} entry
+ * @returns {Promise<void>}
+ */
+function logDiagnostic({ kind, source, message }) {
+  const entry = {
+    at: Date.now(),
+    kind: String(kind || "error"),
+    source: String(source || ""),
+    message: String(message || "").slice(0, MAX_MESSAGE_LENGTH),
+  };
+
+  diagnosticsWrite = diagnosticsWrite
+    .then(async () => {
+      const { [DIAGNOSTICS_KEY]: list } = await chrome.storage.local.get(DIAGNOSTICS_KEY);
+      const next = [...(Array.isArray(list) ? list : []), entry].slice(-MAX_DIAGNOSTICS);
+      await chrome.storage.local.set({ [DIAGNOSTICS_KEY]: next });
+    })
+    .catch(() => {
+      // Storage unavailable; losing a log entry is fine
+    });
+
+  return diagnosticsWrite;
+}
+
+/**
+ * Empties the log and the health report (popup "Clear").
+ * @returns {Promise<{}>}
+ */
+async function clearDiagnostics() {
+  await diagnosticsWrite;
+  await chrome.storage.local.remove([DIAGNOSTICS_KEY, SELECTOR_HEALTH_KEY]);
+  return {};
+}
+
+/***********************
+ * Selector health
+ ***********************/
+
+/**
+ * Stores a planner page's selector health report, and logs each check that
+ * is failing now but wasn't in the previous report.
+ * @param {{ url: string, checks: Array<{ id: string, label: string, ok: boolean|null, detail: string }> }} report
+ *   ok is null when a check doesn't apply to the page
+ * @returns {Promise<{}>}
+ */
+async function reportSelectorHealth({ url, checks }) {
+  const { [SELECTOR_HEALTH_KEY]: prev } = await chrome.storage.local.get(SELECTOR_HEALTH_KEY);
+  const wasFailing = new Set((prev?.checks || []).filter((c) => c.ok === false).map((c) => c.id));
+
+  const list = (Array.isArray(checks) ? checks : []).map((c) => ({
+    id: String(c.id),
+    label: String(c.label || c.id),
+    ok: typeof c.ok === "boolean" ? c.ok : null,
+    detail: String(c.detail || ""),
+  }));
+
+  for (const check of list) {
+    if (check.ok === false && !wasFailing.has(check.id)) {
+      logDiagnostic({ kind: "selector", source: check.id, message: `${check.label}: ${check.detail}` });
+    }
+  }
+
+  await chrome.storage.local.set({ [SELECTOR_HEALTH_KEY]: { at: Date.now(), url: String(url || ""), checks: list } });
+  return {};
+}
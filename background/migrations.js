@@ -0,0 +1,114 @@
+/**
+ * MyDegrees Enhancer – Storage migrations (loaded by service_worker.js)
+ *
+ * Every storage format change bumps a key's version suffix (_v1, _v2, ...).
+ * Each migration below upgrades or removes the keys one change left behind;
+ * they run in order, once, and mdeStorageVersion records the last one done.
+ *
+ * Runs when the extension is installed or updated, and before the service
+ * worker first reads a cache, so a worker woken by a message never sees the
+ * old format. A failed migration stops the run and is retried next time.
+ *
+ * To change a stored format: bump the key, then append a migration here.
+ */
+
+/***********************
+ * Config
+ ***********************/
+
+const MIGRATION_VERSION_KEY = "mdeStorageVersion"; // local: number of the last migration applied
+
+/**
+ * @type {Array<{ version: number, description: string, run: () => Promise<void> }>}
+ * version must increase by one each time; never edit a migration once shipped.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Remove caches replaced by per-student history and newer prereq formats",
+    async run() {
+      await chrome.storage.local.remove(["mdeHistoryCourses_v2", "mdePrereqCache_v5", "mdePrereqCache_v6"]);
+    },
+  },
+  {
+    version: 2,
+    description: "Timestamp prereq cache entries (mdePrereqCache_v7 -> v8)",
+    async run() {
+      const { mdePrereqCache_v7: old } = await chrome.storage.local.get("mdePrereqCache_v7");
+
+      if (old && typeof old === "object") {
+        // Unknown age: count it from now so it expires after one TTL
+        const savedAt = Date.now();
+        const upgraded = {};
+        for (const [code, groups] of Object.entries(old)) {
+          if (Array.isArray(groups)) upgraded[code] = { savedAt, groups };
+        }
+
+        const { mdePrereqCache_v8: current = {} } = await chrome.storage.local.get("mdePrereqCache_v8");
+        await chrome.storage.local.set({ mdePrereqCache_v8: { ...upgraded, ...current } });
+      }
+
+      await chrome.storage.local.remove("mdePrereqCache_v7");
+    },
+  },
+  {
+    version: 3,
+    description: "Undo note edits kept only by the extension (mdeNoteLocalEdits_v1)",
+    async run() {
+      const all = await chrome.storage.local.get(null);
+      const editKeys = Object.keys(all).filter((key) => key.startsWith("mdeNoteLocalEdits_v1:"));
+
+      for (const key of editKeys) {
+        const cacheKey = `mdeNotesCache_v2:${key.slice(key.indexOf(":") + 1)}`;
+        const cache = all[cacheKey];
+        if (!cache || typeof cache !== "object") continue;
+
+        // Each entry is the site's note the local edit replaced
+        for (const [cardId, siteText] of Object.entries(all[key] || {})) {
+          if (siteText) cache[cardId] = siteText;
+          else delete cache[cardId];
+        }
+        await chrome.storage.local.set({ [cacheKey]: cache });
+      }
+
+      await chrome.storage.local.remove([...editKeys, "mdeNoteLocalEdits_v1"]);
+    },
+  },
+];
+
+/***********************
+ * Runner
+ ***********************/
+
+let migrating = null;
+
+/**
+ * Applies every migration newer than the stored version (once per worker
+ * lifetime; later calls share the first run).
+ * @returns {Promise<void>}
+ */
+function runMigrations() {
+  if (!migrating) {
+    migrating = (async () => {
+      const { [MIGRATION_VERSION_KEY]: stored = 0 } = await chrome.storage.local.get(MIGRATION_VERSION_KEY);
+
+      for (const migration of MIGRATIONS) {
+        if (migration.version <= stored) continue;
+
+        try {
+          await migration.run();
+        } catch (e) {
+          // Leave the version where it is so this one runs again next time
+          migrating = null;
+          return;
+        }
+
+        await chrome.storage.local.set({ [MIGRATION_VERSION_KEY]: migration.version });
+      }
+    })();
+  }
+
+  return migrating;
+}
+
+chrome.runtime.onInstalled.addListener(() => runMigrations());
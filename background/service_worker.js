@@ -0,0 +1,985 @@
+/**
+ * MyDegrees Enhancer – Background Service Worker
+ * Single owner of MyDegrees API calls and the caches built from them.
+ *
+ * Every planner tab used to fetch the audit and course info itself and write
+ * the same storage keys; now tabs ask here by message, concurrent requests for
+ * the same data share one fetch, and tabs are told when a cache changes.
+ *
+ * Cached data that belongs to one student (history, locks, notes) is stored
+ * under "<key>:<studentId>", so advisors and shared computers keep each
+ * student's data apart; mdeProfiles_v1 lists the students seen.
+ *
+ * Messages handled (from content scripts):
+ *  - MDE_GET_PROFILE { studentId? }         -> { studentId, name }
+ *  - MDE_GET_HISTORY { studentId? }         -> { history: { [code]: { grade, status, term } }, meta }
+ *  - MDE_GET_COURSE_INFO { terms: { [termCode]: string[] } }
+ *                                           -> { prereqs: { [code]: groups }, offerings: { [termCode]: entry } }
+ *  - MDE_GET_PLAN_NOTES { studentId? }      -> { notes: { [cardId]: string } }
+ *  - MDE_LOG_DIAGNOSTIC { kind, source, message } -> {}
+ *  - MDE_REPORT_HEALTH { url, checks }      -> {}
+ * From the popup:
+ *  - MDE_CLEAR_PROFILE { studentId }        -> {}
+ *  - MDE_REFRESH_CACHES { studentId? }      -> { historySavedAt }
+ *  - MDE_CLEAR_DIAGNOSTICS                  -> {}
+ * Broadcast to planner tabs:
+ *  - MDE_CACHE_CHANGED { cache: "history" | "courseInfo" }
+ * Sent to the active tab for keyboard shortcuts (manifest "commands"):
+ *  - MDE_COMMAND { command } (forwarded as is; "toggle-<featureId>" is
+ *    resolved by the feature registry in content/shared.js, which owns the
+ *    setting keys, so nothing here lists the features)
+ *
+ * Cross-device sync of locks and notes lives in background/sync.js; upgrades
+ * of old storage keys live in background/migrations.js; the diagnostics log
+ * (failed API calls are recorded by fetchApi()) lives in background/diagnostics.js.
+ */
+
+importScripts("/content/grades.js", "/background/diagnostics.js", "/background/sync.js", "/background/migrations.js");
+
+/***********************
+ * Config
+ ***********************/
+
+const ORIGIN = "https://mydegrees.oregonstate.edu";
+const PLANNER_TAB_PATTERN = `${ORIGIN}/*`;
+
+const HISTORY_KEY = "mdeHistoryCourses_v3"; // per student: { "CS 161": { grade, status, term } }
+const HISTORY_META_KEY = "mdeHistoryMeta_v2"; // per student: { studentId, savedAt, degrees, override }
+const PROFILES_KEY = "mdeProfiles_v1"; // { [studentId]: { name, lastSeen } }
+
+// Per-student keys ("<key>:<studentId>"); data saved before scoping goes to the first profile
+const STUDENT_SCOPED_KEYS = [
+  HISTORY_KEY,
+  HISTORY_META_KEY,
+  "mdeLockedCards_v1",
+  "mdeLockedTerms_v1",
+  "mdeNotesCache_v2",
+  "mdePlanSnapshots_v1",
+];
+const PREREQ_KEY = "mdePrereqCache_v8"; // { "CS 325": { savedAt, groups: [[{ code, concurrent, minGrade }]] } }
+const OFFERINGS_KEY = "mdeOfferingsCache_v1"; // { "202501": { savedAt, published, courses } }
+
+const HISTORY_TTL_MS = 24 * 60 * 60 * 1000;
+const OFFERINGS_TTL_MS = 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Prereqs change rarely; the popup setting (days) says how long to trust them
+const PREREQ_TTL_SETTING = "mdePrereqTtlDays";
+const DEFAULT_PREREQ_TTL_DAYS = 7;
+
+// Used only when neither the user record nor an override names a degree
+const DEFAULT_DEGREE = { school: "01", degree: "BS" };
+
+/***********************
+ * Small utilities
+ ***********************/
+
+function nowMs() {
+  return Date.now();
+}
+
+function normalizeCourseCode(raw) {
+  const s = (raw || "").trim().replace(/\s+/g, " ");
+  const m = s.match(/^([A-Z]{2,4})\s?(\d{3}[A-Za-z]?)$/);
+  return m ? `${m[1]} ${m[2].toUpperCase()}` : s;
+}
+
+function splitCourseCode(code) {
+  const m = normalizeCourseCode(code).match(/^([A-Z]{2,4})\s(\d{3}[A-Za-z]?)$/);
+  return m ? { discipline: m[1], number: m[2] } : null;
+}
+
+/**
+ * Runs fn once per key at a time: callers arriving while it is in flight
+ * (from any tab) get the same promise.
+ */
+const inflight = new Map();
+
+function dedupe(key, fn) {
+  if (inflight.has(key)) return inflight.get(key);
+
+  const p = Promise.resolve()
+    .then(fn)
+    .finally(() => inflight.delete(key));
+
+  inflight.set(key, p);
+  return p;
+}
+
+/**
+ * Tells every open planner tab that a cache changed.
+ * @param {"history"|"courseInfo"} cache
+ */
+async function broadcastCacheChanged(cache) {
+  const tabs = await chrome.tabs.query({ url: PLANNER_TAB_PATTERN });
+  for (const tab of tabs) {
+    chrome.tabs.sendMessage(tab.id, { type: "MDE_CACHE_CHANGED", cache }).catch(() => {
+      // Tab has no content script (still loading, or a non-planner page)
+    });
+  }
+}
+
+// "source|fields" already logged by checkResponseFields
+const fieldChecksLogged = new Set();
+
+/**
+ * Logs (once per worker session) when a MyDegrees response has rows but none
+ * of them carries any of the fields we read a detail from. Those field names
+ * aren't checked against a recorded response, so a wrong or renamed one shows
+ * up in Diagnostics instead of quietly turning that check off.
+ * @param {string} source e.g. "course-link prerequisites"
+ * @param {object[]} rows
+ * @param {string[]} fields any one of them counts
+ */
+function checkResponseFields(source, rows, fields) {
+  const key = `${source}|${fields.join("/")}`;
+  if (!rows.length || fieldChecksLogged.has(key)) return;
+  if (rows.some((row) => fields.some((field) => row?.[field] != null))) return;
+
+  fieldChecksLogged.add(key);
+  logDiagnostic({
+    kind: "api",
+    source,
+    message: `none of ${rows.length} rows has ${fields.join(", ")}`,
+  });
+}
+
+/***********************
+ * Prereq grouping
+ ***********************/
+
+// Fields a course-link prerequisite row may mark a corequisite with ("Y" or true)
+const CONCURRENT_PREREQ_FIELDS = ["concurrency", "concurrent", "concurrentInd", "corequisite"];
+
+/**
+ * True if this prerequisite row may be taken in the same term (corequisite).
+ * A row without any of CONCURRENT_PREREQ_FIELDS counts as an ordinary
+ * prerequisite; fetchCourseInfoForTerm logs responses where no row has one.
+ * @param {object} p
+ * @returns {boolean}
+ */
+function isConcurrentPrereq(p) {
+  const flag = CONCURRENT_PREREQ_FIELDS.map((f) => p[f]).find((v) => v != null);
+  return flag === true || flag === "Y";
+}
+
+// Fields a course-link prerequisite row may carry its minimum grade in
+const MIN_GRADE_FIELDS = ["minimumGrade", "minGrade", "grade"];
+
+/**
+ * Minimum grade the API attaches to a prerequisite row, if any. None means
+ * the popup's default minimum grade applies; fetchCourseInfoForTerm logs
+ * responses where no row has one of MIN_GRADE_FIELDS.
+ * @param {object} p
+ * @returns {string|null}
+ */
+function readPrereqMinGrade(p) {
+  const g = MIN_GRADE_FIELDS.map((f) => p[f]).find((v) => v != null);
+  return typeof g === "string" && g.trim() ? g.trim().toUpperCase() : null;
+}
+
+/**
+ * Groups prerequisite rows into AND-ed groups of OR-ed options.
+ * @param {object[]} prereqObjs
+ * @returns {Array<Array<{ code: string, concurrent: boolean, minGrade: string|null }>>}
+ */
+function buildPrereqGroups(prereqObjs) {
+  const groups = [];
+  let current = [];
+
+  for (const p of prereqObjs || []) {
+    const code = normalizeCourseCode(`${p.subjectCodePrerequisite} ${p.courseNumberPrerequisite}`);
+    const concurrent = isConcurrentPrereq(p);
+    const minGrade = readPrereqMinGrade(p);
+
+    const startsGroup = (p.leftParenthesis || "").includes("(");
+    const isAnd = p.connector === "A";
+
+    if ((startsGroup || isAnd) && current.length) {
+      groups.push(current);
+      current = [];
+    }
+
+    current.push({ code, concurrent, minGrade });
+
+    const endsGroup = (p.rightParenthesis || "").includes(")");
+    if (endsGroup && current.length) {
+      groups.push(current);
+      current = [];
+    }
+  }
+
+  if (current.length) groups.push(current);
+  return groups.map(dedupeOptions);
+}
+
+/**
+ * Removes repeated course codes from a group (a repeat is concurrent if any row was).
+ * @param {Array<{ code: string, concurrent: boolean, minGrade: string|null }>} group
+ * @returns {Array<{ code: string, concurrent: boolean, minGrade: string|null }>}
+ */
+function dedupeOptions(group) {
+  const byCode = new Map();
+  for (const opt of group) {
+    const prev = byCode.get(opt.code);
+    byCode.set(opt.code, {
+      code: opt.code,
+      concurrent: Boolean(prev?.concurrent || opt.concurrent),
+      minGrade: prev?.minGrade || opt.minGrade || null,
+    });
+  }
+  return Array.from(byCode.values());
+}
+
+/***********************
+ * Grades (the scale lives in content/grades.js)
+ ***********************/
+
+/**
+ * Ranks attempts so a retake replaces an earlier failure:
+ * passing (by grade) > in progress > preregistered > non-passing.
+ * @param {{ grade: string, status: string }} rec
+ * @returns {number}
+ */
+function historyRank(rec) {
+  if (rec.status === "inprogress") return 50;
+  if (rec.status === "preregistered") return 40;
+
+  const { grades } = globalThis.MDE;
+  if (!grades.isPassing(rec.grade)) return 0;
+  return 100 + (grades.points(rec.grade) ?? grades.points("A"));
+}
+
+/***********************
+ * MyDegrees API: user + audit -> history
+ ***********************/
+
+/**
+ * fetch() with the user's MyDegrees session that throws "<label> failed: <status>"
+ * on an error response, and records every failure in the diagnostics log.
+ * @param {string} label short name of the call for the error message
+ * @param {string} url
+ * @param {RequestInit} [init]
+ * @returns {Promise<Response>}
+ */
+async function fetchApi(label, url, init = {}) {
+  // Plan and card ids in the path become ":id" (the log goes into bug reports)
+  const path = new URL(url).pathname.replace(/\/[^/]*\d[^/]*/g, "/:id");
+  const source = `${init.method || "GET"} ${path}`;
+
+  let res;
+  try {
+    res = await fetch(url, { credentials: "include", ...init });
+  } catch (e) {
+    logDiagnostic({ kind: "api", source, message: `network error (${e?.message || e})` });
+    throw e;
+  }
+
+  if (!res.ok) {
+    logDiagnostic({ kind: "api", source, message: `HTTP ${res.status}` });
+    throw new Error(`${label} failed: ${res.status}`);
+  }
+
+  return res;
+}
+
+async function fetchMyself() {
+  const res = await fetchApi("users/myself", `${ORIGIN}/dashboard/api/users/myself`);
+  return res.json();
+}
+
+/**
+ * Signed-in user's id, or the student being viewed when the page says so.
+ * @param {string} [studentId] from the page (an advisor viewing a student)
+ * @returns {Promise<string|null>}
+ */
+async function resolveStudentId(studentId) {
+  const given = String(studentId || "").trim();
+  if (given) return given;
+
+  const myself = await dedupe("myself", () => fetchMyself());
+  return String(myself?.id || "").trim() || null;
+}
+
+/**
+ * Reads a code that the API sends either as a string or as { key }.
+ * @param {unknown} v
+ * @returns {string}
+ */
+function readCode(v) {
+  if (typeof v === "string") return v.trim();
+  if (v && typeof v === "object" && typeof v.key === "string") return v.key.trim();
+  return "";
+}
+
+/**
+ * Finds every { school, degree } pair in a users/myself or audit response
+ * (the audit lists them under degreeInformation.degreeDataArray).
+ * @param {unknown} data
+ * @returns {Array<{ school: string, degree: string }>}
+ */
+function detectDegrees(data) {
+  const found = new Map();
+
+  function walk(v) {
+    if (!v) return;
+    if (Array.isArray(v)) return v.forEach(walk);
+    if (typeof v !== "object") return;
+
+    const school = readCode(v.school);
+    const degree = readCode(v.degree);
+    if (school && degree) found.set(`${school}:${degree}`, { school, degree });
+
+    for (const k in v) walk(v[k]);
+  }
+
+  walk(data);
+  return Array.from(found.values());
+}
+
+/**
+ * Parses the popup override, e.g. "01 BS, 01 HBS" or "BA" (school defaults to 01).
+ * @param {string} text
+ * @returns {Array<{ school: string, degree: string }>}
+ */
+function parseDegreeOverride(text) {
+  return String(text || "")
+    .split(",")
+    .map((part) => part.trim().toUpperCase().split(/[\s:/]+/).filter(Boolean))
+    .filter((tokens) => tokens.length > 0)
+    .map((tokens) =>
+      tokens.length > 1
+        ? { school: tokens[0], degree: tokens[1] }
+        : { school: DEFAULT_DEGREE.school, degree: tokens[0] }
+    );
+}
+
+async function readDegreeOverride() {
+  const { mdeDegreeOverride = "" } = await chrome.storage.sync.get({ mdeDegreeOverride: "" });
+  return String(mdeDegreeOverride || "").trim();
+}
+
+function buildAuditUrl(studentId, { school, degree }) {
+  const u = new URL("/dashboard/api/audit", ORIGIN);
+  u.searchParams.set("studentId", studentId);
+  u.searchParams.set("school", school);
+  u.searchParams.set("degree", degree);
+  u.searchParams.set("is-process-new", "true");
+  u.searchParams.set("audit-type", "NV");
+  u.searchParams.set("auditId", "");
+  u.searchParams.set("include-inprogress", "true");
+  u.searchParams.set("include-preregistered", "true");
+  u.searchParams.set("aid-term", "undefined");
+  return u.toString();
+}
+
+async function fetchAuditJson(studentId, degree) {
+  const res = await fetchApi("audit", buildAuditUrl(studentId, degree));
+  return res.json();
+}
+
+/**
+ * Collects course records from an audit, keeping the best attempt per course.
+ * @param {unknown} auditData
+ * @returns {Map<string, { grade: string, status: string, term: string }>}
+ */
+function extractHistoryFromAudit(auditData) {
+  const records = new Map();
+
+  function walk(v) {
+    if (!v) return;
+    if (Array.isArray(v)) return v.forEach(walk);
+    if (typeof v !== "object") return;
+
+    const d = v.discipline;
+    const n = v.number;
+
+    if (typeof d === "string" && typeof n === "string") {
+      const code = normalizeCourseCode(`${d} ${n}`);
+      const looksLikeCourse = /^[A-Z]{2,4}\s\d{3}[A-Z]?$/i.test(code);
+
+      const isCourseRecord =
+        v.recordType === "C" ||
+        typeof v.letterGrade === "string" ||
+        v.inProgress === "Y" ||
+        v.preregistered === "Y";
+
+      if (looksLikeCourse && isCourseRecord) {
+        const rec = {
+          grade: typeof v.letterGrade === "string" ? v.letterGrade.trim().toUpperCase() : "",
+          status:
+            v.inProgress === "Y" ? "inprogress" : v.preregistered === "Y" ? "preregistered" : "complete",
+          term: typeof v.term === "string" ? v.term : "",
+        };
+
+        const key = normalizeCourseCode(code.toUpperCase());
+        const prev = records.get(key);
+        if (!prev || historyRank(rec) > historyRank(prev)) records.set(key, rec);
+      }
+    }
+
+    for (const k in v) walk(v[k]);
+  }
+
+  walk(auditData);
+  return records;
+}
+
+/**
+ * Merges one degree's history into another, keeping the best attempt per course.
+ * @param {Map<string, object>} into
+ * @param {Map<string, object>} from
+ */
+function mergeHistory(into, from) {
+  for (const [code, rec] of from.entries()) {
+    const prev = into.get(code);
+    if (!prev || historyRank(rec) > historyRank(prev)) into.set(code, rec);
+  }
+}
+
+async function loadHistoryCache(studentId) {
+  const historyKey = `${HISTORY_KEY}:${studentId}`;
+  const metaKey = `${HISTORY_META_KEY}:${studentId}`;
+  const { [historyKey]: saved, [metaKey]: meta } = await chrome.storage.local.get([historyKey, metaKey]);
+
+  const savedOk = saved && typeof saved === "object" && Object.keys(saved).length > 0;
+  const metaOk =
+    meta &&
+    typeof meta === "object" &&
+    typeof meta.studentId === "string" &&
+    typeof meta.savedAt === "number";
+
+  return {
+    history: savedOk ? saved : {},
+    meta: metaOk ? meta : null,
+  };
+}
+
+/**
+ * Returns the cached history when fresh, otherwise fetches and merges the
+ * audits for every degree (override > users/myself > default audit).
+ * @param {{ force?: boolean, studentId?: string }} [opts] studentId defaults to the signed-in user
+ */
+async function ensureHistory({ force = false, studentId: requested } = {}) {
+  const studentId = await resolveStudentId(requested);
+  if (!studentId) return { history: {}, meta: null };
+
+  const override = await readDegreeOverride();
+  const cached = await loadHistoryCache(studentId);
+
+  // A changed override invalidates the cache even if it is still fresh
+  const sameOverride = (cached.meta?.override || "") === override;
+
+  if (!force && cached.meta && Object.keys(cached.history).length > 0 && sameOverride) {
+    const age = nowMs() - cached.meta.savedAt;
+    if (age < HISTORY_TTL_MS) return cached;
+  }
+
+  let degrees = parseDegreeOverride(override);
+
+  // users/myself lists the signed-in user's degrees, not those of a student an advisor is viewing
+  if (!degrees.length) {
+    const myself = await dedupe("myself", () => fetchMyself());
+    if (String(myself?.id || "").trim() === studentId) degrees = detectDegrees(myself);
+  }
+
+  const audits = new Map();
+
+  // Nothing detected: the default audit names the student's actual degree(s)
+  if (!degrees.length) {
+    const audit = await fetchAuditJson(studentId, DEFAULT_DEGREE);
+    audits.set(`${DEFAULT_DEGREE.school}:${DEFAULT_DEGREE.degree}`, audit);
+
+    degrees = detectDegrees(audit?.degreeInformation);
+    if (!degrees.length) degrees = [DEFAULT_DEGREE];
+  }
+
+  const history = new Map();
+  let fetched = 0;
+
+  for (const degree of degrees) {
+    const key = `${degree.school}:${degree.degree}`;
+
+    try {
+      const audit = audits.get(key) || (await fetchAuditJson(studentId, degree));
+      mergeHistory(history, extractHistoryFromAudit(audit));
+      fetched++;
+    } catch (e) {
+      // One bad degree (e.g. a mistyped override) shouldn't hide the others
+    }
+  }
+
+  if (!fetched) throw new Error("audit failed for every degree");
+
+  const result = {
+    history: Object.fromEntries(history.entries()),
+    meta: {
+      studentId,
+      savedAt: nowMs(),
+      degrees: degrees.map((d) => `${d.school}:${d.degree}`),
+      override,
+    },
+  };
+
+  await chrome.storage.local.set({
+    [`${HISTORY_KEY}:${studentId}`]: result.history,
+    [`${HISTORY_META_KEY}:${studentId}`]: result.meta,
+  });
+
+  return result;
+}
+
+/***********************
+ * Course info caches (prereqs + term offerings)
+ ***********************/
+
+// Per course: { savedAt, groups }
+let prereqCache = new Map();
+
+// Per term: which courses have sections. `published` is false until the
+// schedule for that term is out, so future terms are never flagged early.
+let offeringsCache = new Map();
+
+let cachesLoaded = null;
+
+/**
+ * Loads both caches from storage once per service worker lifetime.
+ * @returns {Promise<void>}
+ */
+function loadCourseInfoCaches() {
+  if (!cachesLoaded) {
+    cachesLoaded = runMigrations().then(async () => {
+      const saved = await chrome.storage.local.get([PREREQ_KEY, OFFERINGS_KEY]);
+
+      const prereqs = saved[PREREQ_KEY];
+      if (prereqs && typeof prereqs === "object") {
+        for (const [course, entry] of Object.entries(prereqs)) {
+          if (entry && typeof entry.savedAt === "number" && Array.isArray(entry.groups)) {
+            prereqCache.set(course, entry);
+          }
+        }
+      }
+
+      const offerings = saved[OFFERINGS_KEY];
+      if (offerings && typeof offerings === "object") {
+        for (const [termCode, entry] of Object.entries(offerings)) {
+          if (entry && typeof entry.savedAt === "number" && entry.courses) {
+            offeringsCache.set(termCode, entry);
+          }
+        }
+      }
+    });
+  }
+
+  return cachesLoaded;
+}
+
+async function saveCourseInfoCaches() {
+  await chrome.storage.local.set({
+    [PREREQ_KEY]: Object.fromEntries(prereqCache.entries()),
+    [OFFERINGS_KEY]: Object.fromEntries(offeringsCache.entries()),
+  });
+}
+
+function isOfferingsFresh(entry) {
+  return Boolean(entry) && nowMs() - entry.savedAt < OFFERINGS_TTL_MS;
+}
+
+/**
+ * Prereq cache lifetime from the popup setting (0 or less never expires).
+ * @returns {Promise<number>} ms
+ */
+async function readPrereqTtlMs() {
+  const { [PREREQ_TTL_SETTING]: days } = await chrome.storage.sync.get({
+    [PREREQ_TTL_SETTING]: DEFAULT_PREREQ_TTL_DAYS,
+  });
+
+  const n = Number(days);
+  if (!Number.isFinite(n)) return DEFAULT_PREREQ_TTL_DAYS * DAY_MS;
+  return n > 0 ? n * DAY_MS : Infinity;
+}
+
+function isPrereqFresh(entry, ttlMs) {
+  return Boolean(entry) && nowMs() - entry.savedAt < ttlMs;
+}
+
+// Fields a course-link course may list its sections in for the requested term
+const SECTION_FIELDS = ["sections", "offerings"];
+
+/**
+ * Reads whether a course-link course object has sections in the requested term.
+ * Without a section list the answer is unknown (null), so no "not offered"
+ * badge is shown; fetchCourseInfoForTerm logs responses where no course has one.
+ * @param {object} obj
+ * @returns {boolean|null} null when the response carries no section data
+ */
+function readOffered(obj) {
+  const sections = SECTION_FIELDS.map((f) => obj[f]).find((v) => v != null);
+  return Array.isArray(sections) ? sections.length > 0 : null;
+}
+
+/**
+ * Fetches prereqs and offerings for some courses in one term.
+ * @param {string} termCode
+ * @param {Array<{ discipline: string, number: string }>} courses
+ * @returns {Promise<boolean>} whether any cached prereqs or offerings changed
+ */
+async function fetchCourseInfoForTerm(termCode, courses) {
+  const res = await fetchApi("course-link/term", `${ORIGIN}/dashboard/api/course-link/term`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ term: termCode, courses }),
+  });
+
+  const data = await res.json();
+  const courseObjs = data?.courseInformation?.courses || [];
+
+  const prereqRows = courseObjs.flatMap((obj) => obj.prerequisites || []);
+  checkResponseFields("course-link prerequisites", prereqRows, CONCURRENT_PREREQ_FIELDS);
+  checkResponseFields("course-link courses", courseObjs, SECTION_FIELDS);
+  checkResponseFields("course-link prerequisites", prereqRows, MIN_GRADE_FIELDS);
+
+  const requested = courses.map((c) => normalizeCourseCode(`${c.discipline} ${c.number}`));
+  const groupsOf = (code) => JSON.stringify(prereqCache.get(code)?.groups ?? null);
+  const before = requested.map(groupsOf);
+
+  const prev = offeringsCache.get(termCode);
+  const offered = isOfferingsFresh(prev) ? { ...prev.courses } : {};
+  const offeredBefore = JSON.stringify(prev?.courses ?? null);
+
+  const returned = new Set();
+  for (const obj of courseObjs) {
+    const code = normalizeCourseCode(`${obj.subjectCode} ${obj.courseNumber}`);
+    prereqCache.set(code, { savedAt: nowMs(), groups: buildPrereqGroups(obj.prerequisites) });
+    offered[code] = readOffered(obj);
+    returned.add(code);
+  }
+
+  // Requested courses missing from the response: no known prereqs and an
+  // unknown offering, stamped so they stay fresh (and aren't asked for on
+  // every tick) until the TTL runs out
+  for (const code of requested) {
+    if (returned.has(code)) continue;
+    prereqCache.set(code, { savedAt: nowMs(), groups: [] });
+    offered[code] ??= null;
+  }
+
+  offeringsCache.set(termCode, {
+    savedAt: isOfferingsFresh(prev) ? prev.savedAt : nowMs(),
+    published: Object.values(offered).some((v) => v === true),
+    courses: offered,
+  });
+
+  await saveCourseInfoCaches();
+
+  return JSON.stringify(offered) !== offeredBefore || requested.some((code, i) => groupsOf(code) !== before[i]);
+}
+
+function needsCourseInfo(termCode, code, prereqTtlMs) {
+  const offerings = offeringsCache.get(termCode);
+  const hasOffering = isOfferingsFresh(offerings) && code in offerings.courses;
+  return !isPrereqFresh(prereqCache.get(code), prereqTtlMs) || !hasOffering;
+}
+
+/**
+ * Makes sure prereqs and offerings exist for the given courses, fetching per
+ * term what is missing. Only one fetch per term runs at a time across tabs.
+ * @param {Record<string, string[]>} terms termCode -> course codes
+ */
+async function ensureCourseInfo(terms) {
+  await loadCourseInfoCaches();
+  const prereqTtlMs = await readPrereqTtlMs();
+
+  let changed = false;
+
+  for (const [termCode, codes] of Object.entries(terms || {})) {
+    // Let another tab's fetch for this term land first, then ask only for the rest
+    await inflight.get(`term:${termCode}`)?.catch(() => {});
+
+    const missing = [];
+    for (const code of new Set(codes.map(normalizeCourseCode))) {
+      const parts = splitCourseCode(code);
+      if (parts && needsCourseInfo(termCode, code, prereqTtlMs)) missing.push(parts);
+    }
+
+    if (!missing.length) continue;
+
+    try {
+      if (await dedupe(`term:${termCode}`, () => fetchCourseInfoForTerm(termCode, missing))) changed = true;
+    } catch {
+      // Offline or API error: answer from the (possibly expired) cache below
+    }
+  }
+
+  // Only when something changed: tabs drop their copies and ask again
+  if (changed) broadcastCacheChanged("courseInfo");
+
+  const prereqs = {};
+  const offerings = {};
+
+  for (const [termCode, codes] of Object.entries(terms || {})) {
+    if (offeringsCache.has(termCode)) offerings[termCode] = offeringsCache.get(termCode);
+
+    for (const code of codes) {
+      const key = normalizeCourseCode(code);
+      if (prereqCache.has(key)) prereqs[key] = prereqCache.get(key).groups;
+    }
+  }
+
+  return { prereqs, offerings };
+}
+
+/**
+ * "Refresh now": refetches the student's history and marks every cached
+ * prereq and term offering as expired, so the next request for them fetches
+ * again. Expired entries are still served if that fetch fails.
+ * @param {{ studentId?: string }} msg
+ * @returns {Promise<{ historySavedAt: number|null }>}
+ */
+async function refreshCaches({ studentId } = {}) {
+  await loadCourseInfoCaches();
+
+  for (const entry of prereqCache.values()) entry.savedAt = 0;
+  for (const entry of offeringsCache.values()) entry.savedAt = 0;
+  await saveCourseInfoCaches();
+
+  const { meta } = await dedupe(`history:${studentId || ""}`, () => ensureHistory({ force: true, studentId }));
+
+  broadcastCacheChanged("history");
+  broadcastCacheChanged("courseInfo");
+
+  return { historySavedAt: meta?.savedAt || null };
+}
+
+/***********************
+ * MyDegrees API: plan -> notes
+ ***********************/
+
+// Fields a plan requirement may carry its note in
+const PLAN_NOTE_FIELDS = ["note", "notes", "noteText", "comment"];
+const CARD_ID_REGEX = /^CL-[A-Za-z0-9]+$/;
+
+async function fetchPlanJson(path) {
+  const res = await fetchApi(path.split("?")[0], `${ORIGIN}${path}`);
+  return res.json();
+}
+
+/**
+ * Picks the student's active plan from the plans list (falls back to the
+ * most recently modified one).
+ * @param {unknown} data
+ * @returns {string|null} plan id
+ */
+function pickActivePlanId(data) {
+  const plans = Array.isArray(data) ? data : data?.plans || data?._embedded?.plans || [];
+  if (!plans.length) return null;
+
+  const isActive = (p) => p.active === true || p.active === "Y" || p.isActive === true;
+  const modified = (p) => Date.parse(p.modifyDate || p.lastModified || "") || 0;
+
+  const plan = plans.find(isActive) || [...plans].sort((a, b) => modified(b) - modified(a))[0];
+  const id = plan?.id ?? plan?.planId;
+  return id == null ? null : String(id);
+}
+
+/**
+ * Reads note text that the API sends as a string, an object or a list of either.
+ * @param {unknown} v
+ * @returns {string}
+ */
+function readNoteText(v) {
+  if (typeof v === "string") return v.trim();
+  if (Array.isArray(v)) return v.map(readNoteText).filter(Boolean).join("\n");
+  if (v && typeof v === "object") return readNoteText(v.noteText ?? v.text ?? v.note ?? "");
+  return "";
+}
+
+/**
+ * Collects { cardId: note } from a plan: every object whose id is a card id
+ * ("CL-...") and that has non-empty note text.
+ * @param {unknown} planData
+ * @returns {Record<string, string>}
+ */
+function extractPlanNotes(planData) {
+  const notes = {};
+
+  function walk(v) {
+    if (!v) return;
+    if (Array.isArray(v)) return v.forEach(walk);
+    if (typeof v !== "object") return;
+
+    const id = [v.id, v.requirementId, v.key].find((x) => typeof x === "string" && CARD_ID_REGEX.test(x));
+    if (id) {
+      const text = PLAN_NOTE_FIELDS.map((f) => readNoteText(v[f])).find(Boolean);
+      if (text) notes[id] = text;
+    }
+
+    for (const k in v) walk(v[k]);
+  }
+
+  walk(planData);
+  return notes;
+}
+
+/**
+ * The student's plans list and the id of the active plan.
+ * @param {string} [requestedId] defaults to the signed-in user
+ * @returns {Promise<{ list: unknown, planId: string|null, studentId: string|null }>}
+ */
+async function fetchActivePlan(requestedId) {
+  const studentId = await resolveStudentId(requestedId);
+  if (!studentId) return { list: null, planId: null, studentId };
+
+  const list = await fetchPlanJson(`/dashboard/api/plans?studentId=${encodeURIComponent(studentId)}`);
+  return { list, planId: pickActivePlanId(list), studentId };
+}
+
+/**
+ * Fetches every note on the student's active plan, using the page's session.
+ * @param {{ studentId?: string }} msg
+ * @returns {Promise<{ notes: Record<string, string> }>}
+ */
+async function fetchPlanNotes({ studentId } = {}) {
+  const { list, planId } = await fetchActivePlan(studentId);
+
+  // Some responses already carry the requirements; use them when they have notes
+  const inline = extractPlanNotes(list);
+  if (Object.keys(inline).length) return { notes: inline };
+
+  if (!planId) return { notes: {} };
+
+  const plan = await fetchPlanJson(`/dashboard/api/plans/${encodeURIComponent(planId)}`);
+  return { notes: extractPlanNotes(plan) };
+}
+
+/***********************
+ * Student profiles
+ ***********************/
+
+async function loadProfiles() {
+  const { [PROFILES_KEY]: profiles } = await chrome.storage.local.get(PROFILES_KEY);
+  return profiles && typeof profiles === "object" ? profiles : {};
+}
+
+/**
+ * Gives the very first profile the data saved before per-student keys existed.
+ * Later profiles start empty, so one student never inherits another's data.
+ * @param {string} studentId
+ */
+async function adoptUnscopedData(studentId) {
+  const data = await chrome.storage.local.get(STUDENT_SCOPED_KEYS);
+  const moves = {};
+
+  for (const key of STUDENT_SCOPED_KEYS) {
+    if (key in data) moves[`${key}:${studentId}`] = data[key];
+  }
+
+  if (!Object.keys(moves).length) return;
+
+  await chrome.storage.local.set(moves);
+  await chrome.storage.local.remove(STUDENT_SCOPED_KEYS);
+}
+
+/**
+ * Resolves the student for a planner tab and records them in mdeProfiles_v1.
+ * @param {{ studentId?: string }} msg studentId when the page shows another student
+ * @returns {Promise<{ studentId: string|null, name: string }>}
+ */
+async function touchProfile({ studentId: requested } = {}) {
+  const studentId = await resolveStudentId(requested);
+  if (!studentId) return { studentId: null, name: "" };
+
+  const profiles = await loadProfiles();
+  if (!Object.keys(profiles).length) await adoptUnscopedData(studentId);
+
+  let name = profiles[studentId]?.name || "";
+  try {
+    const myself = await dedupe("myself", () => fetchMyself());
+    if (String(myself?.id || "").trim() === studentId) {
+      name = String(myself.name || [myself.firstName, myself.lastName].filter(Boolean).join(" ")).trim() || name;
+    }
+  } catch {
+    // Keep whatever name we had
+  }
+
+  profiles[studentId] = { name, lastSeen: nowMs() };
+  await chrome.storage.local.set({ [PROFILES_KEY]: profiles });
+
+  return { studentId, name };
+}
+
+/**
+ * Removes everything stored for one student on this computer, and (with
+ * sync on) from the synced state, without it coming back from other devices.
+ * Other devices keep their local copy.
+ * @param {{ studentId: string }} msg
+ * @returns {Promise<{}>}
+ */
+async function clearProfile({ studentId }) {
+  const id = String(studentId || "").trim();
+  if (!id) throw new Error("no student");
+
+  const keys = STUDENT_SCOPED_KEYS.map((key) => `${key}:${id}`);
+  await forgetSyncedKeys(keys);
+  await chrome.storage.local.remove(keys);
+
+  const profiles = await loadProfiles();
+  delete profiles[id];
+  await chrome.storage.local.set({ [PROFILES_KEY]: profiles });
+
+  return {};
+}
+
+/***********************
+ * Message routing
+ ***********************/
+
+const HANDLERS = {
+  MDE_GET_PROFILE: (msg) => touchProfile(msg),
+  MDE_GET_HISTORY: (msg) => dedupe(`history:${msg.studentId || ""}`, () => ensureHistory({ studentId: msg.studentId })),
+  MDE_GET_COURSE_INFO: (msg) => ensureCourseInfo(msg.terms),
+  MDE_GET_PLAN_NOTES: (msg) => dedupe(`planNotes:${msg.studentId || ""}`, () => fetchPlanNotes(msg)),
+  MDE_CLEAR_PROFILE: (msg) => clearProfile(msg),
+  MDE_REFRESH_CACHES: (msg) => refreshCaches(msg),
+  MDE_LOG_DIAGNOSTIC: async (msg) => {
+    await logDiagnostic(msg);
+    return {};
+  },
+  MDE_REPORT_HEALTH: (msg) => reportSelectorHealth(msg),
+  MDE_CLEAR_DIAGNOSTICS: () => clearDiagnostics(),
+};
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  const handler = HANDLERS[msg?.type];
+  if (!handler) return false;
+
+  handler(msg, sender).then(
+    (data) => sendResponse({ ok: true, ...data }),
+    (e) => sendResponse({ ok: false, error: String(e?.message || e) })
+  );
+
+  // Keep the channel open for the async response
+  return true;
+});
+
+/***********************
+ * Keyboard shortcuts
+ ***********************/
+
+// The planner tab does the work; toggles go through the feature registry,
+// which knows each feature's setting
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  const tabId = tab?.id ?? (await chrome.tabs.query({ active: true, currentWindow: true }))[0]?.id;
+
+  if (tabId == null) return;
+  chrome.tabs.sendMessage(tabId, { type: "MDE_COMMAND", command }).catch(() => {
+    // Not a planner tab
+  });
+});
+
+// A new degree override means every cached history belongs to the wrong audit.
+// Tabs ask again, and ensureHistory() refetches because the override differs.
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== "sync" || !("mdeDegreeOverride" in changes)) return;
+  broadcastCacheChanged("history");
+});
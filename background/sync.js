@@ -0,0 +1,432 @@
+/**
+ * MyDegrees Enhancer – Cross-device sync (loaded by service_worker.js)
+ *
+ * Locks and notes live in chrome.storage.local, one key per student
+ * ("mdeLockedCards_v1:<studentId>", ...). With sync turned on
+ * (chrome.storage.sync mdeSyncEnabled) they are mirrored into
+ * chrome.storage.sync so another signed-in Chrome gets them too.
+ *
+ * - Every entry (one card lock, one note, ...) carries its own last-changed
+ *   time in mdeSyncMeta_v1; merges keep the newer side per entry, and
+ *   deletions are kept as timestamped tombstones so they sync as well.
+ * - The mirrored state is JSON, deflated, base64'd and split into shards
+ *   that fit sync's per-item quota (mdeSync_v1 + mdeSync_v1.0, .1, ...).
+ * - If it still doesn't fit the total quota, syncing pauses (local data is
+ *   untouched) and mdeSyncStatus_v1 + the toolbar badge say so.
+ * - Clearing a student here (forgetSyncedKeys) drops their keys from the
+ *   next push and records when they were cleared (mdeSyncCleared_v1), so
+ *   copies other devices still push can't restore them; only entries changed
+ *   after the clear come back.
+ */
+
+/***********************
+ * Config
+ ***********************/
+
+// Base names; the stored keys are "<base>:<studentId>"
+const SYNCED_KEY_BASES = ["mdeLockedCards_v1", "mdeLockedTerms_v1", "mdeNotesCache_v2"];
+
+const SYNC_ENABLED_KEY = "mdeSyncEnabled"; // chrome.storage.sync setting
+const SYNC_META_KEY = "mdeSyncMeta_v1"; // local: { [storageKey]: { [entryKey]: changedAt } }
+const SYNC_STATUS_KEY = "mdeSyncStatus_v1"; // local: { state, message, at, bytes }
+const SYNC_DEVICE_KEY = "mdeSyncDeviceId_v1"; // local: random id, to skip our own writes
+const SYNC_CLEARED_KEY = "mdeSyncCleared_v1"; // local: { [storageKey]: clearedAt }
+
+const SYNC_MANIFEST_KEY = "mdeSync_v1"; // sync: { shards, savedAt, device }
+const SYNC_SHARD_PREFIX = "mdeSync_v1.";
+
+// chrome.storage.sync.QUOTA_BYTES_PER_ITEM is 8192 (key + JSON value); leave room for both
+const SHARD_CHARS = 7800;
+// Headroom under QUOTA_BYTES for settings written after a push
+const QUOTA_MARGIN_BYTES = 2048;
+
+const TOMBSTONE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const PUSH_DELAY_MS = 3000;
+const RATE_LIMIT_RETRY_MS = 60 * 1000;
+
+/***********************
+ * State
+ ***********************/
+
+// Last local value seen per synced key, so we can tell which entries changed
+const mirror = {};
+let mirrorReady = null;
+let pushTimer = null;
+
+// mdeSyncMeta_v1 is read-modified-written from several events; run those one at a time
+let metaQueue = Promise.resolve();
+
+function withMeta(fn) {
+  const run = metaQueue.then(fn);
+  metaQueue = run.catch(() => {});
+  return run;
+}
+
+function isSyncedKey(key) {
+  return SYNCED_KEY_BASES.some((base) => key.startsWith(`${base}:`));
+}
+
+function loadMirror() {
+  if (!mirrorReady) {
+    mirrorReady = chrome.storage.local.get(null).then((data) => {
+      for (const key of Object.keys(data).filter(isSyncedKey)) mirror[key] = asObject(data[key]);
+    });
+  }
+
+  return mirrorReady;
+}
+
+/**
+ * Drops keys from sync tracking before they're removed locally (clearing a
+ * student profile): the next push leaves them out of the synced state, and
+ * remote entries older than the clear are ignored from then on.
+ * @param {string[]} keys
+ */
+async function forgetSyncedKeys(keys) {
+  await withMeta(async () => {
+    await loadMirror();
+
+    const { [SYNC_META_KEY]: storedMeta, [SYNC_CLEARED_KEY]: storedCleared } = await chrome.storage.local.get([
+      SYNC_META_KEY,
+      SYNC_CLEARED_KEY,
+    ]);
+    const meta = asObject(storedMeta);
+    const cleared = asObject(storedCleared);
+    const now = Date.now();
+
+    for (const key of keys) {
+      delete mirror[key];
+      delete meta[key];
+      cleared[key] = now;
+    }
+
+    // Same lifetime as tombstones: a device offline longer than that is out of date anyway
+    for (const [key, clearedAt] of Object.entries(cleared)) {
+      if (now - clearedAt > TOMBSTONE_TTL_MS) delete cleared[key];
+    }
+
+    await chrome.storage.local.set({ [SYNC_META_KEY]: meta, [SYNC_CLEARED_KEY]: cleared });
+  });
+
+  // Removing the keys locally isn't a tracked change, so push explicitly
+  if (await isSyncEnabled()) schedulePush();
+}
+
+function asObject(v) {
+  return v && typeof v === "object" && !Array.isArray(v) ? v : {};
+}
+
+async function isSyncEnabled() {
+  const { [SYNC_ENABLED_KEY]: enabled = false } = await chrome.storage.sync.get({ [SYNC_ENABLED_KEY]: false });
+  return Boolean(enabled);
+}
+
+async function getDeviceId() {
+  const { [SYNC_DEVICE_KEY]: id } = await chrome.storage.local.get(SYNC_DEVICE_KEY);
+  if (id) return id;
+
+  const created = crypto.randomUUID();
+  await chrome.storage.local.set({ [SYNC_DEVICE_KEY]: created });
+  return created;
+}
+
+/***********************
+ * Status
+ ***********************/
+
+/**
+ * Records the sync state for the popup and flags problems on the toolbar icon.
+ * @param {"off"|"ok"|"quota"|"error"} state
+ * @param {string} [message]
+ * @param {number} [bytes] size of the last payload
+ */
+async function setSyncStatus(state, message = "", bytes = 0) {
+  await chrome.storage.local.set({ [SYNC_STATUS_KEY]: { state, message, at: Date.now(), bytes } });
+
+  const problem = state === "quota" || state === "error";
+  await chrome.action.setBadgeText({ text: problem ? "!" : "" });
+  if (problem) {
+    await chrome.action.setBadgeBackgroundColor({ color: "#d32f2f" });
+    await chrome.action.setTitle({ title: `MyDegrees Enhancer – ${message}` });
+  } else {
+    await chrome.action.setTitle({ title: "MyDegrees Enhancer" });
+  }
+}
+
+/***********************
+ * Encoding
+ ***********************/
+
+async function deflateToBase64(text) {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream("deflate-raw"));
+  const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+async function inflateFromBase64(b64) {
+  const bytes = Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Response(stream).text();
+}
+
+/**
+ * Reads the mirrored state from chrome.storage.sync.
+ * @returns {Promise<{ payload: object, shards: number, device: string|null }|null>} null if nothing is stored
+ */
+async function readRemote() {
+  const { [SYNC_MANIFEST_KEY]: manifest } = await chrome.storage.sync.get(SYNC_MANIFEST_KEY);
+  if (!manifest?.shards) return null;
+
+  const keys = Array.from({ length: manifest.shards }, (_, i) => `${SYNC_SHARD_PREFIX}${i}`);
+  const data = await chrome.storage.sync.get(keys);
+
+  // A half-written set (other device mid-push) shows up as a missing shard
+  if (keys.some((k) => typeof data[k] !== "string")) return null;
+
+  const payload = JSON.parse(await inflateFromBase64(keys.map((k) => data[k]).join("")));
+  return { payload: asObject(payload), shards: manifest.shards, device: manifest.device || null };
+}
+
+/***********************
+ * Merge
+ ***********************/
+
+/**
+ * Stamps entries whose local value changed since we last looked.
+ * @param {string} key synced storage key
+ * @param {object} next new local value
+ * @param {object} meta mdeSyncMeta_v1 (mutated)
+ * @returns {boolean} true if anything changed
+ */
+function stampLocalChanges(key, next, meta) {
+  const prev = mirror[key] || {};
+  const stamps = (meta[key] = asObject(meta[key]));
+  const now = Date.now();
+  let changed = false;
+
+  for (const entry of new Set([...Object.keys(prev), ...Object.keys(next)])) {
+    if (JSON.stringify(prev[entry]) !== JSON.stringify(next[entry])) {
+      stamps[entry] = now;
+      changed = true;
+    }
+  }
+
+  mirror[key] = next;
+  return changed;
+}
+
+/**
+ * Applies remote entries that are newer than ours (last writer wins per entry)
+ * and writes the result to chrome.storage.local.
+ * @param {object} payload { [storageKey]: { [entryKey]: [value|null, changedAt] } }
+ */
+function mergeRemote(payload) {
+  return withMeta(async () => {
+    await loadMirror();
+
+    const { [SYNC_META_KEY]: storedMeta, [SYNC_CLEARED_KEY]: storedCleared } = await chrome.storage.local.get([
+      SYNC_META_KEY,
+      SYNC_CLEARED_KEY,
+    ]);
+    const meta = asObject(storedMeta);
+    const cleared = asObject(storedCleared);
+    const writes = {};
+
+    for (const key of Object.keys(payload).filter(isSyncedKey)) {
+      const remote = asObject(payload[key]);
+      const stamps = (meta[key] = asObject(meta[key]));
+      const obj = { ...mirror[key] };
+      let changed = false;
+
+      for (const [entry, pair] of Object.entries(remote)) {
+        if (!Array.isArray(pair)) continue;
+
+        // Entries from before this student was cleared here stay cleared
+        const [value, changedAt] = pair;
+        if (!(changedAt > Math.max(stamps[entry] || 0, cleared[key] || 0))) continue;
+
+        if (value === null) delete obj[entry];
+        else obj[entry] = value;
+
+        stamps[entry] = changedAt;
+        changed = true;
+      }
+
+      if (!Object.keys(stamps).length) delete meta[key];
+
+      if (changed) {
+        // Update the mirror first so the resulting onChanged isn't seen as a local edit
+        mirror[key] = obj;
+        writes[key] = obj;
+      }
+    }
+
+    await chrome.storage.local.set({ ...writes, [SYNC_META_KEY]: meta });
+  });
+}
+
+/**
+ * Builds the payload from local data: every live entry plus recent tombstones.
+ * @returns {Promise<object>}
+ */
+function buildPayload() {
+  return withMeta(async () => {
+    await loadMirror();
+
+    const { [SYNC_META_KEY]: storedMeta } = await chrome.storage.local.get(SYNC_META_KEY);
+    const meta = asObject(storedMeta);
+    const now = Date.now();
+    const payload = {};
+
+    for (const key of Object.keys(mirror)) {
+      const obj = mirror[key] || {};
+      const stamps = (meta[key] = asObject(meta[key]));
+      const out = {};
+
+      for (const [entry, value] of Object.entries(obj)) {
+        // Entries from before tracking started get stamped on their first push
+        stamps[entry] ||= now;
+        out[entry] = [value, stamps[entry]];
+      }
+
+      for (const [entry, changedAt] of Object.entries(stamps)) {
+        if (entry in obj) continue;
+
+        if (now - changedAt > TOMBSTONE_TTL_MS) delete stamps[entry];
+        else out[entry] = [null, changedAt];
+      }
+
+      payload[key] = out;
+    }
+
+    await chrome.storage.local.set({ [SYNC_META_KEY]: meta });
+    return payload;
+  });
+}
+
+/***********************
+ * Push / pull
+ ***********************/
+
+/**
+ * Pulls the remote state into local storage.
+ */
+async function pullFromSync() {
+  const remote = await readRemote();
+  if (remote) await mergeRemote(remote.payload);
+}
+
+/**
+ * Merges in the other devices' state, then writes ours back to sync.
+ * Falls back to local-only (with a visible status) when over quota.
+ */
+async function pushToSync() {
+  if (!(await isSyncEnabled())) return;
+
+  try {
+    // Merge first: the payload replaces everything in sync
+    await pullFromSync();
+
+    const encoded = await deflateToBase64(JSON.stringify(await buildPayload()));
+
+    const shards = {};
+    for (let i = 0; i * SHARD_CHARS < encoded.length; i++) {
+      shards[`${SYNC_SHARD_PREFIX}${i}`] = encoded.slice(i * SHARD_CHARS, (i + 1) * SHARD_CHARS);
+    }
+
+    const shardCount = Object.keys(shards).length;
+    const manifest = { shards: shardCount, savedAt: Date.now(), device: await getDeviceId() };
+    const items = { ...shards, [SYNC_MANIFEST_KEY]: manifest };
+
+    const bytes = Object.entries(items).reduce((n, [k, v]) => n + k.length + JSON.stringify(v).length, 0);
+
+    // Compare against what everything else (settings) already uses
+    const all = await chrome.storage.sync.get(null);
+    const ours = Object.keys(all).filter((k) => k === SYNC_MANIFEST_KEY || k.startsWith(SYNC_SHARD_PREFIX));
+    const othersBytes = (await chrome.storage.sync.getBytesInUse(null)) - (await chrome.storage.sync.getBytesInUse(ours));
+
+    if (othersBytes + bytes > chrome.storage.sync.QUOTA_BYTES - QUOTA_MARGIN_BYTES) {
+      await setSyncStatus("quota", "Too many locks and notes to sync; they're saved on this device only.", bytes);
+      return;
+    }
+
+    await chrome.storage.sync.set(items);
+
+    const stale = ours.filter((k) => k.startsWith(SYNC_SHARD_PREFIX) && !(k in shards));
+    if (stale.length) await chrome.storage.sync.remove(stale);
+
+    await setSyncStatus("ok", "", bytes);
+  } catch (e) {
+    const message = String(e?.message || e);
+
+    if (/MAX_WRITE_OPERATIONS/i.test(message)) {
+      schedulePush(RATE_LIMIT_RETRY_MS);
+    } else if (/QUOTA_BYTES/i.test(message)) {
+      await setSyncStatus("quota", "Sync storage is full; locks and notes are saved on this device only.");
+    } else {
+      await setSyncStatus("error", `Sync failed: ${message}`);
+    }
+  }
+}
+
+/**
+ * Batches local edits into one sync write (sync limits writes per minute).
+ * @param {number} [delayMs]
+ */
+function schedulePush(delayMs = PUSH_DELAY_MS) {
+  if (pushTimer) clearTimeout(pushTimer);
+  pushTimer = setTimeout(() => {
+    pushTimer = null;
+    pushToSync();
+  }, delayMs);
+}
+
+/***********************
+ * Listeners
+ ***********************/
+
+chrome.storage.onChanged.addListener(async (changes, area) => {
+  if (area === "local") {
+    const keys = Object.keys(changes).filter(isSyncedKey);
+    if (!keys.length) return;
+
+    const changed = await withMeta(async () => {
+      await loadMirror();
+
+      const { [SYNC_META_KEY]: storedMeta } = await chrome.storage.local.get(SYNC_META_KEY);
+      const meta = asObject(storedMeta);
+
+      let any = false;
+      for (const key of keys) any = stampLocalChanges(key, asObject(changes[key].newValue), meta) || any;
+      if (any) await chrome.storage.local.set({ [SYNC_META_KEY]: meta });
+      return any;
+    });
+
+    if (changed && (await isSyncEnabled())) schedulePush();
+    return;
+  }
+
+  if (area !== "sync") return;
+
+  if (SYNC_ENABLED_KEY in changes) {
+    if (changes[SYNC_ENABLED_KEY].newValue) pushToSync();
+    else setSyncStatus("off");
+    return;
+  }
+
+  // Another device pushed
+  const manifest = changes[SYNC_MANIFEST_KEY]?.newValue;
+  if (!manifest || manifest.device === (await getDeviceId())) return;
+  if (!(await isSyncEnabled())) return;
+
+  pullFromSync().catch((e) => setSyncStatus("error", `Sync failed: ${String(e?.message || e)}`));
+});
+
+// Catch up on whatever changed elsewhere while this browser was closed
+chrome.runtime.onStartup.addListener(() => pushToSync());
+chrome.runtime.onInstalled.addListener(() => pushToSync());
@@ -0,0 +1,57 @@
+/**
+ * MyDegrees Enhancer – Offline Course Catalog
+ *
+ * Loads data/courses.json once and answers lookups for every feature.
+ * Loaded as a content script, after shared.js.
+ *
+ * Catalog shape: { version, note, courses: { "CS 261": { title, credits } } }
+ *
+ * The entries are a hand-entered seed list, so they only fill in titles and
+ * credits; nothing treats them as schedules or prerequisites.
+ */
+
+globalThis.MDE = globalThis.MDE || {};
+
+(function () {
+  const CATALOG_PATH = "data/courses.json";
+
+  let loading = null;
+  let loaded = new Map();
+
+  /**
+   * Loads the catalog (once). Resolves to an empty Map if the file is missing
+   * or malformed, so callers can treat "no catalog" like "course not listed".
+   * @returns {Promise<Map<string, { title: string, credits: number }>>}
+   */
+  function load() {
+    if (!loading) {
+      loading = fetch(chrome.runtime.getURL(CATALOG_PATH))
+        .then((res) => (res.ok ? res.json() : {}))
+        .then((data) => new Map(Object.entries(data?.courses || {})))
+        .catch(() => new Map())
+        .then((courses) => (loaded = courses));
+    }
+
+    return loading;
+  }
+
+  /**
+   * @param {string} code e.g. "CS 261"
+   * @returns {Promise<object|null>}
+   */
+  async function get(code) {
+    const courses = await load();
+    return courses.get(code) || null;
+  }
+
+  /**
+   * Synchronous lookup for code that can't wait: null until load() resolves.
+   * @param {string} code e.g. "CS 261"
+   * @returns {object|null}
+   */
+  function peek(code) {
+    return loaded.get(code) || null;
+  }
+
+  globalThis.MDE.catalog = { load, get, peek };
+})();
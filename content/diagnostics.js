@@ -0,0 +1,177 @@
+/**
+ * MyDegrees Enhancer – Diagnostics (content side)
+ *
+ * window.MDE.diagnostics.log() sends an entry to the service worker's
+ * diagnostics log (background/diagnostics.js) instead of failing silently.
+ *
+ * Selector health: the checks below (and any a feature adds with
+ * addHealthCheck) test whether the selectors we rely on still match the
+ * planner. They re-run after page changes settle and are reported to the
+ * service worker whenever a result changes, so the popup can show that e.g.
+ * "#term-container" stopped matching after a MyDegrees update.
+ *
+ * A check returns { ok, detail }; ok is null when it doesn't apply to this
+ * page (no planner here). Pages where nothing applies don't report at all.
+ */
+
+window.MDE = window.MDE || {};
+
+window.MDE.diagnostics = (function () {
+  const HEALTH_SETTLE_MS = 2000;
+  // A pass that fails on every page change logs once a minute, not every time
+  const REPEAT_LOG_MS = 60 * 1000;
+
+  const checks = [];
+  const lastLogged = new Map(); // "kind|source|message" -> epoch ms
+
+  let timer = null;
+  let unsubscribe = null;
+  let lastReport = "";
+
+  /***********************
+   * Log
+   ***********************/
+
+  /**
+   * Records a problem in the diagnostics log.
+   * @param {"error"|"api"|"selector"} kind
+   * @param {string} source e.g. "feature:prereqs"
+   * @param {unknown} error an Error or a message
+   */
+  function log(kind, source, error) {
+    const message = String(error?.message || error || "");
+
+    const key = `${kind}|${source}|${message}`;
+    if (Date.now() - (lastLogged.get(key) || 0) < REPEAT_LOG_MS) return;
+    lastLogged.set(key, Date.now());
+
+    try {
+      chrome.runtime.sendMessage({ type: "MDE_LOG_DIAGNOSTIC", kind, source, message }).catch(() => {
+        // Service worker unreachable; nothing to log to
+      });
+    } catch (e) {
+      // Extension reloaded
+    }
+  }
+
+  /***********************
+   * Selector health
+   ***********************/
+
+  /**
+   * Adds a selector health check.
+   * @param {{ id: string, label: string, run: () => { ok: boolean|null, detail: string } }} check
+   */
+  function addHealthCheck(check) {
+    checks.push(check);
+  }
+
+  /**
+   * Runs every check (a check that throws counts as failing).
+   * @returns {Array<{ id: string, label: string, ok: boolean|null, detail: string }>}
+   */
+  function runHealthChecks() {
+    return checks.map(({ id, label, run }) => {
+      try {
+        const { ok, detail } = run();
+        return { id, label, ok, detail };
+      } catch (e) {
+        return { id, label, ok: false, detail: `check threw: ${e?.message || e}` };
+      }
+    });
+  }
+
+  /**
+   * Sends the health report if it changed since the last one.
+   */
+  function reportHealth() {
+    timer = null;
+
+    const results = runHealthChecks();
+    if (results.every((r) => r.ok === null)) return;
+
+    const signature = JSON.stringify(results);
+    if (signature === lastReport) return;
+    lastReport = signature;
+
+    try {
+      // No query string: it can carry the student id
+      const url = location.origin + location.pathname;
+      chrome.runtime.sendMessage({ type: "MDE_REPORT_HEALTH", url, checks: results }).catch(() => {});
+    } catch (e) {
+      // Extension reloaded
+    }
+  }
+
+  function start() {
+    if (unsubscribe) return;
+
+    unsubscribe = window.MDE.planner.on("dom-changed", () => {
+      if (timer) clearTimeout(timer);
+      timer = setTimeout(reportHealth, HEALTH_SETTLE_MS);
+    });
+    timer = setTimeout(reportHealth, HEALTH_SETTLE_MS);
+  }
+
+  function stop() {
+    unsubscribe?.();
+    unsubscribe = null;
+    if (timer) clearTimeout(timer);
+    timer = null;
+  }
+
+  /***********************
+   * Planner checks
+   ***********************/
+
+  addHealthCheck({
+    id: "term-container",
+    label: "#term-container found",
+    run() {
+      if (document.querySelector("#term-container")) return { ok: true, detail: "found" };
+
+      // Course cards on the page but no container: the planner markup changed
+      const loose = document.querySelectorAll("div[draggable]").length;
+      return loose
+        ? { ok: false, detail: `not found, but ${loose} draggable elements are on the page` }
+        : { ok: null, detail: "no planner on this page" };
+    },
+  });
+
+  addHealthCheck({
+    id: "term-columns",
+    label: "Term columns read",
+    run() {
+      if (!document.querySelector("#term-container")) return { ok: null, detail: "no planner on this page" };
+
+      const count = window.MDE.planner.getTerms().length;
+      return { ok: count > 0, detail: `${count} term columns` };
+    },
+  });
+
+  addHealthCheck({
+    id: "cards",
+    label: "Course cards matched",
+    run() {
+      const container = document.querySelector("#term-container");
+      if (!container) return { ok: null, detail: "no planner on this page" };
+
+      // An empty plan is fine; draggable elements with no cards read from them is not
+      const count = window.MDE.planner.getCards().length;
+      const draggable = container.querySelectorAll("div[draggable]").length;
+      return { ok: count > 0 || draggable === 0, detail: `${count} cards matched (${draggable} draggable elements)` };
+    },
+  });
+
+  /***********************
+   * Public API
+   ***********************/
+
+  return {
+    log,
+    addHealthCheck,
+    runHealthChecks,
+    start,
+    stop,
+  };
+})();
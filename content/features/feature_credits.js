@@ -0,0 +1,127 @@
+/**
+ * Feature: credit totals
+ * Shows the credits planned in each term next to its header, flagged when
+ * the total is over the maximum or under the minimum (popup limits; 0 turns
+ * that side off). Summer and empty terms are never flagged as underloaded.
+ *
+ * Credits come from window.MDE.readCardCredits (the card, else the catalog).
+ */
+window.MDE.registerFeature({
+  id: "credits",
+  label: "Show credit totals per term",
+  description: "Flags terms outside these limits.",
+  settingKey: "mdeCreditTotalsEnabled",
+  settings: { mdeCreditMin: 12, mdeCreditMax: 18 },
+
+  async init() {
+    /***********************
+     * Config + Toggle State
+     ***********************/
+
+    const CREDIT_TOTAL_CLASS = "mde-credit-total";
+
+    // Off until the registry calls enable()
+    let creditsEnabled = false;
+    let creditLimits = { min: 12, max: 18 };
+    let timer = null;
+
+    function setCreditsEnabled(enabled) {
+      creditsEnabled = Boolean(enabled);
+
+      if (!creditsEnabled) {
+        if (timer) clearTimeout(timer);
+        timer = null;
+        document.querySelectorAll(`.${CREDIT_TOTAL_CLASS}`).forEach((el) => el.remove());
+        return;
+      }
+
+      scheduleUpdate();
+    }
+
+    function applySettings({ mdeCreditMin, mdeCreditMax }) {
+      creditLimits = { min: Number(mdeCreditMin) || 0, max: Number(mdeCreditMax) || 0 };
+      scheduleUpdate();
+    }
+
+    /***********************
+     * Totals
+     ***********************/
+
+    /**
+     * Writes "<n> cr" next to each term header and flags overload/underload.
+     */
+    function applyCreditTotals() {
+      if (!creditsEnabled) return;
+
+      const totals = new Map();
+      for (const card of window.MDE.planner.getCards()) {
+        if (!card.code) continue;
+        const credits = window.MDE.readCardCredits(card.el, card.code) || 0;
+        totals.set(card.termIndex, (totals.get(card.termIndex) || 0) + credits);
+      }
+
+      for (const { termIndex, headerEl, label } of window.MDE.planner.getTerms()) {
+        if (!headerEl) continue;
+
+        const total = totals.get(termIndex) || 0;
+        const isSummer = (label || "").startsWith("Summer");
+
+        const over = creditLimits.max > 0 && total > creditLimits.max;
+        const under = !isSummer && total > 0 && creditLimits.min > 0 && total < creditLimits.min;
+
+        let el = headerEl.nextElementSibling;
+        if (!el || !el.classList.contains(CREDIT_TOTAL_CLASS)) {
+          el = document.createElement("span");
+          el.className = CREDIT_TOTAL_CLASS;
+          el.dataset.mdeInjected = "1";
+          headerEl.insertAdjacentElement("afterend", el);
+        }
+
+        // Only touch text when it changes, otherwise our own write re-triggers the observer
+        const text = `${Number(total.toFixed(2))} cr`;
+        if (el.textContent !== text) el.textContent = text;
+
+        el.classList.toggle(`${CREDIT_TOTAL_CLASS}--over`, over);
+        el.classList.toggle(`${CREDIT_TOTAL_CLASS}--under`, under);
+
+        if (over) el.title = `Over the ${creditLimits.max}-credit limit`;
+        else if (under) el.title = `Under the ${creditLimits.min}-credit minimum`;
+        else el.removeAttribute("title");
+      }
+    }
+
+    function scheduleUpdate() {
+      if (!creditsEnabled) return;
+      if (timer) clearTimeout(timer);
+      timer = setTimeout(() => {
+        timer = null;
+        applyCreditTotals();
+      }, 250);
+    }
+
+    /***********************
+     * Start feature
+     ***********************/
+
+    // Cards that don't show credits count the catalog's
+    await window.MDE.catalog.load();
+
+    // Cards added, moved or removed, or re-rendered (credits, lost totals)
+    const unsubscribe = [
+      window.MDE.planner.on("change", scheduleUpdate),
+      window.MDE.planner.on("nodes-changed", ({ nodes }) => {
+        if (nodes.some((n) => n.closest("#term-container"))) scheduleUpdate();
+      }),
+    ];
+
+    return {
+      applySettings,
+      enable: () => setCreditsEnabled(true),
+      disable: () => setCreditsEnabled(false),
+      destroy() {
+        unsubscribe.forEach((off) => off());
+        setCreditsEnabled(false);
+      },
+    };
+  },
+});
@@ -0,0 +1,261 @@
+/**
+ * Feature: export
+ * Downloads the planned schedule as CSV, JSON or iCalendar (.ics).
+ * Triggered from the popup (MDE_EXPORT { format }). Each row carries the
+ * course code, formatted title, term label/code, lock state, inline note and
+ * prereq warning status; the .ics has one all-day event per term.
+ */
+window.MDE.registerFeature({
+  id: "export",
+
+  init() {
+    /***********************
+     * Config
+     ***********************/
+
+    const FORMATS = {
+      csv: { ext: "csv", mime: "text/csv", build: buildCsv },
+      json: { ext: "json", mime: "application/json", build: buildJson },
+      ics: { ext: "ics", mime: "text/calendar", build: buildIcs },
+    };
+
+    // Approximate first day of each OSU term (month is 1-based). The calendar
+    // shifts a few days year to year; this is only an anchor for the event.
+    const TERM_START = {
+      Fall: { month: 9, day: 24 },
+      Winter: { month: 1, day: 6 },
+      Spring: { month: 3, day: 31 },
+      Summer: { month: 6, day: 23 },
+    };
+
+    /***********************
+     * Collect rows
+     ***********************/
+
+    /**
+     * Prereq status for export: "ok", "missing", "tentative" or "unchecked"
+     * (prereq warnings turned off), plus a readable detail line.
+     * @param {object} item
+     * @param {boolean} checked
+     * @returns {{ status: string, detail: string }}
+     */
+    function describePrereqs(item, checked) {
+      if (!checked) return { status: "unchecked", detail: "" };
+
+      const { report } = item;
+      if (report.ok) return { status: "ok", detail: "" };
+
+      const describe = (g) =>
+        `${g.corequisite ? "Corequisite" : "Prerequisite"}: ${g.options.map((o) => o.code).join(" or ")}`;
+
+      const unmet = report.groups.filter((g) => g.state === "unmet");
+      if (unmet.length) return { status: "missing", detail: unmet.map(describe).join("; ") };
+
+      const tentative = report.groups.filter((g) => g.state === "tentative");
+      return { status: "tentative", detail: tentative.map(describe).join("; ") };
+    }
+
+    /**
+     * One row per scheduled course, in term order.
+     * @returns {Promise<object[]>}
+     */
+    async function collectRows() {
+      const state = window.MDE.prereqs?.getPlanState();
+      if (!state) return [];
+
+      // Titles fall back to the catalog, as on the page
+      await window.MDE.catalog.load();
+
+      const isLocked = (await window.MDE.lockcards?.readLocks()) || (() => false);
+      const noteFor = (await window.MDE.notes?.readNotes()) || (() => "");
+      const rows = [];
+
+      for (const item of state.items) {
+        const cardId = window.MDE.getCardId(item.cardEl);
+        const prereq = describePrereqs(item, state.enabled);
+
+        rows.push({
+          courseCode: item.courseCode,
+          title: window.MDE.readCourseTitle(item.cardEl),
+          term: item.termLabel,
+          termCode: item.termCode,
+          credits: item.credits,
+          locked: isLocked(cardId),
+          note: noteFor(item.cardEl),
+          prereqStatus: prereq.status,
+          prereqDetail: prereq.detail,
+        });
+      }
+
+      return rows;
+    }
+
+    /***********************
+     * Formats
+     ***********************/
+
+    function csvField(v) {
+      const s = v == null ? "" : String(v);
+      return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    }
+
+    function buildCsv(rows) {
+      const columns = [
+        ["courseCode", "Course"],
+        ["title", "Title"],
+        ["term", "Term"],
+        ["termCode", "Term Code"],
+        ["credits", "Credits"],
+        ["locked", "Locked"],
+        ["note", "Note"],
+        ["prereqStatus", "Prereq Status"],
+        ["prereqDetail", "Prereq Detail"],
+      ];
+
+      const lines = [columns.map(([, label]) => csvField(label)).join(",")];
+      for (const row of rows) {
+        lines.push(columns.map(([key]) => csvField(row[key])).join(","));
+      }
+
+      return lines.join("\r\n") + "\r\n";
+    }
+
+    function buildJson(rows) {
+      return JSON.stringify({ exportedAt: new Date().toISOString(), courses: rows }, null, 2);
+    }
+
+    /**
+     * Escapes TEXT values per RFC 5545.
+     * @param {string} s
+     * @returns {string}
+     */
+    function icsText(s) {
+      return String(s)
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+    }
+
+    /**
+     * Folds a content line at 75 octets (continuation lines start with a space).
+     * @param {string} line
+     * @returns {string}
+     */
+    function icsFold(line) {
+      const encoder = new TextEncoder();
+      const out = [];
+      let current = "";
+      let bytes = 0;
+
+      for (const ch of line) {
+        const size = encoder.encode(ch).length;
+        if (bytes + size > 75) {
+          out.push(current);
+          current = " ";
+          bytes = 1;
+        }
+        current += ch;
+        bytes += size;
+      }
+
+      out.push(current);
+      return out.join("\r\n");
+    }
+
+    function icsDate(d) {
+      const pad = (n) => String(n).padStart(2, "0");
+      return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}`;
+    }
+
+    /**
+     * Start date for a "Fall 2025" style label, or null if it doesn't parse.
+     * @param {string} label
+     * @returns {Date|null}
+     */
+    function termStartDate(label) {
+      const m = String(label).match(/^(Fall|Winter|Spring|Summer)\s+(\d{4})$/);
+      if (!m) return null;
+
+      const { month, day } = TERM_START[m[1]];
+      return new Date(Date.UTC(Number(m[2]), month - 1, day));
+    }
+
+    function buildIcs(rows) {
+      const terms = new Map();
+      for (const row of rows) {
+        if (!terms.has(row.termCode)) terms.set(row.termCode, { label: row.term, rows: [] });
+        terms.get(row.termCode).rows.push(row);
+      }
+
+      const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+      const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//MyDegrees Enhancer//Plan Export//EN",
+        "CALSCALE:GREGORIAN",
+      ];
+
+      for (const [termCode, term] of terms.entries()) {
+        const start = termStartDate(term.label);
+        if (!start) continue;
+
+        const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+        const description = term.rows
+          .map((r) => (r.title ? `${r.courseCode} – ${r.title}` : r.courseCode))
+          .join("\n");
+
+        lines.push(
+          "BEGIN:VEVENT",
+          `UID:${termCode}@mydegrees-enhancer`,
+          `DTSTAMP:${stamp}`,
+          `DTSTART;VALUE=DATE:${icsDate(start)}`,
+          `DTEND;VALUE=DATE:${icsDate(end)}`,
+          `SUMMARY:${icsText(`${term.label}: ${term.rows.length} planned course${term.rows.length === 1 ? "" : "s"}`)}`,
+          `DESCRIPTION:${icsText(description)}`,
+          "TRANSP:TRANSPARENT",
+          "END:VEVENT"
+        );
+      }
+
+      lines.push("END:VCALENDAR");
+      return lines.map(icsFold).join("\r\n") + "\r\n";
+    }
+
+    /***********************
+     * Download
+     ***********************/
+
+    function download(text, filename, mime) {
+      const url = URL.createObjectURL(new Blob([text], { type: mime }));
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = filename;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async function exportPlan(format) {
+      const fmt = FORMATS[format];
+      if (!fmt) return;
+
+      const rows = await collectRows();
+      if (!rows.length) return;
+
+      const date = new Date().toISOString().slice(0, 10);
+      download(fmt.build(rows), `mydegrees-plan-${date}.${fmt.ext}`, fmt.mime);
+    }
+
+    /***********************
+     * Start
+     ***********************/
+
+    return {
+      onMessage(msg) {
+        if (msg?.type === "MDE_EXPORT") exportPlan(msg.format);
+      },
+    };
+  },
+});
@@ -0,0 +1,353 @@
+/**
+ * Feature: graph
+ * Shows the whole plan as a prerequisite graph: one column per term, an edge
+ * from each planned prerequisite to the course that needs it. Edges that are
+ * out of order (or point at an unplanned course) are red, and the longest
+ * chain of in-order prerequisites is highlighted.
+ *
+ * Opened from the planner toolbar button or the popup (MDE_OPEN_GRAPH).
+ * Reads its data from window.MDE.prereqs, so it never fetches on its own.
+ */
+window.MDE.registerFeature({
+  id: "graph",
+
+  init() {
+    /***********************
+     * Config
+     ***********************/
+
+    const BTN_CLASS = "mde-graph-btn";
+    const SVG_NS = "http://www.w3.org/2000/svg";
+
+    const COL_W = 150;
+    const COL_GAP = 60;
+    const NODE_W = 110;
+    const NODE_H = 28;
+    const ROW_H = 40;
+    const HEADER_H = 36;
+    const PAD = 16;
+
+    /***********************
+     * Graph model
+     ***********************/
+
+    /**
+     * Builds nodes and edges from the prereq feature's plan state.
+     * A prerequisite option links to the placement of that course best suited
+     * to the target: the latest one before it (or the same term for a
+     * corequisite), otherwise the earliest one, which is then a broken edge.
+     * Options in an unmet group that aren't planned at all become "missing" nodes.
+     * @param {{ items: object[], terms: object[] }} state
+     * @returns {{ columns: object[], nodes: object[], edges: object[] }}
+     */
+    function buildGraph(state) {
+      const nodes = state.items.map((it, i) => ({
+        id: `n${i}`,
+        code: it.courseCode,
+        termIndex: it.termIndex,
+        cardEl: it.cardEl,
+        warning: !it.report.ok,
+        missing: false,
+      }));
+
+      const byCode = new Map();
+      for (const n of nodes) {
+        if (!byCode.has(n.code)) byCode.set(n.code, []);
+        byCode.get(n.code).push(n);
+      }
+
+      const missingNodes = new Map();
+      const edges = [];
+
+      state.items.forEach((it, i) => {
+        const target = nodes[i];
+
+        for (const group of it.report.groups) {
+          for (const opt of group.options) {
+            const placements = byCode.get(opt.code) || [];
+
+            if (!placements.length) {
+              if (group.state !== "unmet") continue;
+
+              if (!missingNodes.has(opt.code)) {
+                missingNodes.set(opt.code, {
+                  id: `m${missingNodes.size}`,
+                  code: opt.code,
+                  termIndex: -1,
+                  cardEl: null,
+                  warning: false,
+                  missing: true,
+                });
+              }
+
+              edges.push({ from: missingNodes.get(opt.code), to: target, broken: true });
+              continue;
+            }
+
+            const inTime = placements.filter(
+              (n) =>
+                n.termIndex < target.termIndex ||
+                (opt.concurrent && n.termIndex === target.termIndex && n !== target)
+            );
+
+            const source = inTime.length
+              ? inTime.reduce((a, b) => (b.termIndex > a.termIndex ? b : a))
+              : placements.reduce((a, b) => (b.termIndex < a.termIndex ? b : a));
+
+            if (source === target) continue;
+            edges.push({ from: source, to: target, broken: !inTime.length });
+          }
+        }
+      });
+
+      const columns = state.terms.map((t) => ({ termIndex: t.termIndex, label: t.label }));
+      if (missingNodes.size) columns.unshift({ termIndex: -1, label: "Not planned" });
+
+      return { columns, nodes: [...missingNodes.values(), ...nodes], edges };
+    }
+
+    /**
+     * Longest chain of in-order prerequisite edges (counted in courses).
+     * Only edges into a strictly later term are used, so the graph is acyclic
+     * and nodes can be processed in term order.
+     * @param {object[]} nodes
+     * @param {object[]} edges
+     * @returns {{ nodes: Set<object>, edges: Set<object> }}
+     */
+    function findLongestChain(nodes, edges) {
+      const incoming = new Map(nodes.map((n) => [n, []]));
+      for (const e of edges) {
+        if (!e.broken && e.from.termIndex < e.to.termIndex) incoming.get(e.to).push(e);
+      }
+
+      const length = new Map();
+      const via = new Map();
+      const ordered = nodes.filter((n) => !n.missing).sort((a, b) => a.termIndex - b.termIndex);
+
+      let end = null;
+      for (const n of ordered) {
+        let best = 1;
+        for (const e of incoming.get(n)) {
+          const len = (length.get(e.from) || 1) + 1;
+          if (len > best) {
+            best = len;
+            via.set(n, e);
+          }
+        }
+
+        length.set(n, best);
+        if (!end || best > length.get(end)) end = n;
+      }
+
+      const chain = { nodes: new Set(), edges: new Set() };
+
+      // A single course isn't a chain worth highlighting
+      if (!end || length.get(end) < 2) return chain;
+
+      for (let n = end; n; n = via.get(n)?.from) {
+        chain.nodes.add(n);
+        if (via.has(n)) chain.edges.add(via.get(n));
+      }
+
+      return chain;
+    }
+
+    /***********************
+     * Rendering
+     ***********************/
+
+    function svgEl(tag, attrs = {}) {
+      const el = document.createElementNS(SVG_NS, tag);
+      for (const [k, v] of Object.entries(attrs)) el.setAttribute(k, String(v));
+      return el;
+    }
+
+    function addArrowMarker(defs, id) {
+      const marker = svgEl("marker", {
+        id,
+        viewBox: "0 0 10 10",
+        refX: 10,
+        refY: 5,
+        markerWidth: 7,
+        markerHeight: 7,
+        orient: "auto-start-reverse",
+      });
+      marker.appendChild(svgEl("path", { d: "M 0 0 L 10 5 L 0 10 z", class: `${id}-head` }));
+      defs.appendChild(marker);
+    }
+
+    /**
+     * Lays out nodes in term columns and draws the graph as SVG.
+     * @param {{ columns: object[], nodes: object[], edges: object[] }} graph
+     * @param {{ nodes: Set<object>, edges: Set<object> }} chain
+     * @returns {SVGSVGElement}
+     */
+    function renderGraph(graph, chain) {
+      const colX = new Map(graph.columns.map((c, i) => [c.termIndex, PAD + i * (COL_W + COL_GAP)]));
+      const rowsUsed = new Map();
+      const pos = new Map();
+
+      for (const n of graph.nodes) {
+        const row = rowsUsed.get(n.termIndex) || 0;
+        rowsUsed.set(n.termIndex, row + 1);
+        pos.set(n, { x: colX.get(n.termIndex) ?? PAD, y: PAD + HEADER_H + row * ROW_H });
+      }
+
+      const maxRows = Math.max(1, ...rowsUsed.values());
+      const width = PAD * 2 + graph.columns.length * (COL_W + COL_GAP) - COL_GAP;
+      const height = PAD * 2 + HEADER_H + maxRows * ROW_H;
+
+      const svg = svgEl("svg", { class: "mde-graph", width, height, viewBox: `0 0 ${width} ${height}` });
+
+      const defs = svgEl("defs");
+      addArrowMarker(defs, "mde-arrow-ok");
+      addArrowMarker(defs, "mde-arrow-broken");
+      addArrowMarker(defs, "mde-arrow-chain");
+      svg.appendChild(defs);
+
+      for (const col of graph.columns) {
+        const label = svgEl("text", {
+          x: colX.get(col.termIndex) + NODE_W / 2,
+          y: PAD + 14,
+          class: "mde-graph-term",
+          "text-anchor": "middle",
+        });
+        label.textContent = col.label;
+        svg.appendChild(label);
+      }
+
+      // Edges first so nodes draw on top of them
+      for (const e of graph.edges) {
+        const a = pos.get(e.from);
+        const b = pos.get(e.to);
+        const x1 = a.x + NODE_W;
+        const y1 = a.y + NODE_H / 2;
+        const x2 = b.x;
+        const y2 = b.y + NODE_H / 2;
+        const bend = Math.max(40, Math.abs(x2 - x1) / 2);
+
+        const kind = chain.edges.has(e) ? "chain" : e.broken ? "broken" : "ok";
+        svg.appendChild(
+          svgEl("path", {
+            d: `M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`,
+            class: `mde-graph-edge mde-graph-edge--${kind}`,
+            "marker-end": `url(#mde-arrow-${kind})`,
+          })
+        );
+      }
+
+      for (const n of graph.nodes) {
+        const { x, y } = pos.get(n);
+        const classes = ["mde-graph-node"];
+        if (n.missing) classes.push("mde-graph-node--missing");
+        if (n.warning) classes.push("mde-graph-node--warning");
+        if (chain.nodes.has(n)) classes.push("mde-graph-node--chain");
+
+        const g = svgEl("g", { class: classes.join(" "), transform: `translate(${x} ${y})` });
+        g.appendChild(svgEl("rect", { width: NODE_W, height: NODE_H, rx: 8 }));
+
+        const text = svgEl("text", { x: NODE_W / 2, y: NODE_H / 2 + 4, "text-anchor": "middle" });
+        text.textContent = n.code;
+        g.appendChild(text);
+
+        // Jump to the card on the planner
+        if (n.cardEl) {
+          g.addEventListener("click", () => {
+            window.MDE.closePanel();
+            n.cardEl.scrollIntoView({ behavior: "smooth", block: "center" });
+          });
+        }
+
+        svg.appendChild(g);
+      }
+
+      return svg;
+    }
+
+    function renderLegend(chain) {
+      const legend = document.createElement("div");
+      legend.className = "mde-graph-legend";
+
+      const entries = [
+        ["ok", "Prerequisite planned in time"],
+        ["broken", "Out of order or not planned"],
+        ["chain", `Longest chain (${chain.nodes.size} courses)`],
+      ];
+
+      for (const [kind, text] of entries) {
+        if (kind === "chain" && !chain.nodes.size) continue;
+
+        const item = document.createElement("span");
+        item.className = `mde-graph-legend-item mde-graph-legend-item--${kind}`;
+        item.textContent = text;
+        legend.appendChild(item);
+      }
+
+      return legend;
+    }
+
+    /***********************
+     * Open
+     ***********************/
+
+    function openGraph() {
+      const body = window.MDE.openPanel({ id: "graph", title: "Prerequisite graph" });
+
+      const state = window.MDE.prereqs?.getPlanState();
+      if (!state || !state.items.length) {
+        body.textContent = "No planned courses found. Open your plan on the MyDegrees planner first.";
+        return;
+      }
+
+      if (!state.enabled) {
+        const note = document.createElement("p");
+        note.className = "mde-panel-note";
+        note.textContent = "Prerequisite warnings are off, so prerequisite links may be incomplete.";
+        body.appendChild(note);
+      }
+
+      const graph = buildGraph(state);
+      const chain = findLongestChain(graph.nodes, graph.edges);
+
+      const scroller = document.createElement("div");
+      scroller.className = "mde-graph-scroll";
+      scroller.appendChild(renderGraph(graph, chain));
+
+      body.append(renderLegend(chain), scroller);
+    }
+
+    /**
+     * Adds the "Prerequisite graph" button to the planner toolbar.
+     */
+    function ensureButton() {
+      const bar = window.MDE.ensureToolbar();
+      if (!bar || bar.querySelector(`.${BTN_CLASS}`)) return;
+
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = `mde-toolbar-btn ${BTN_CLASS}`;
+      btn.textContent = "Prerequisite graph";
+      btn.addEventListener("click", openGraph);
+      bar.appendChild(btn);
+    }
+
+    /***********************
+     * Start
+     ***********************/
+
+    ensureButton();
+
+    // The planner renders late and may re-render; re-add the button when needed
+    const unsubscribe = window.MDE.planner.on("dom-changed", ensureButton);
+
+    return {
+      onMessage(msg) {
+        if (msg?.type === "MDE_OPEN_GRAPH") openGraph();
+      },
+      destroy() {
+        unsubscribe();
+        document.querySelectorAll(`.${BTN_CLASS}`).forEach((el) => el.remove());
+      },
+    };
+  },
+});
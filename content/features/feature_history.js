@@ -0,0 +1,379 @@
+/**
+ * Feature: history
+ * Records a snapshot of the plan whenever it changes (each course's term,
+ * lock state and note) and shows a timeline with a per-term diff between any
+ * two snapshots: added, removed and moved courses, plus lock/note changes.
+ *
+ * Snapshots are kept per student in chrome.storage.local
+ * (mdePlanSnapshots_v1:<studentId>), newest last, up to MAX_SNAPSHOTS.
+ * Opened from the planner toolbar button or the popup (MDE_OPEN_HISTORY).
+ */
+window.MDE.registerFeature({
+  id: "history",
+
+  init() {
+    /***********************
+     * Config
+     ***********************/
+
+    const SNAPSHOTS_KEY = "mdePlanSnapshots_v1";
+    const BTN_CLASS = "mde-history-btn";
+    // Per-student lock and note keys; a write to any of them can change a snapshot
+    const SNAPSHOT_SOURCE_KEYS = ["mdeLockedCards_v1", "mdeLockedTerms_v1", "mdeNotesCache_v2"];
+
+    const MAX_SNAPSHOTS = 50;
+    // Wait for the planner to settle so a drag is one snapshot, not several
+    const SETTLE_MS = 2000;
+
+    /***********************
+     * Storage
+     ***********************/
+
+    /**
+     * @returns {Promise<Array<{ at: number, courses: object[] }>>} oldest first
+     */
+    async function loadSnapshots() {
+      const key = await window.MDE.scopedKey(SNAPSHOTS_KEY);
+      const list = (await chrome.storage.local.get(key))[key];
+      return Array.isArray(list) ? list : [];
+    }
+
+    async function saveSnapshots(list) {
+      const key = await window.MDE.scopedKey(SNAPSHOTS_KEY);
+      await chrome.storage.local.set({ [key]: list.slice(-MAX_SNAPSHOTS) });
+    }
+
+    /***********************
+     * Capture
+     ***********************/
+
+    /**
+     * Reads the plan as it is on the page right now.
+     * @returns {Promise<Array<{ key: string, code: string, termCode: string, term: string, locked: boolean, note: string }>|null>}
+     *   null when the planner isn't on the page
+     */
+    async function readPlan() {
+      const state = window.MDE.prereqs?.getPlanState();
+      if (!state || !state.terms.length) return null;
+
+      // One storage read each for the whole plan
+      const isLocked = (await window.MDE.lockcards?.readLocks()) || (() => false);
+      const noteFor = (await window.MDE.notes?.readNotes()) || (() => "");
+      const courses = [];
+
+      for (const item of state.items) {
+        const cardId = window.MDE.getCardId(item.cardEl);
+
+        courses.push({
+          // Card id keeps repeated courses apart; code is the fallback
+          key: cardId || item.courseCode,
+          code: item.courseCode,
+          termCode: item.termCode,
+          term: item.termLabel,
+          locked: isLocked(cardId),
+          note: noteFor(item.cardEl),
+        });
+      }
+
+      return courses;
+    }
+
+    function signature(courses) {
+      return JSON.stringify(
+        courses.map((c) => [c.key, c.termCode, c.locked, c.note]).sort((a, b) => (a[0] < b[0] ? -1 : 1))
+      );
+    }
+
+    let recording = false;
+    let recordAgain = false;
+
+    /**
+     * Adds a snapshot if the plan differs from the latest one. A call while
+     * one is being saved runs once that save is done, so no change is lost.
+     */
+    async function recordSnapshot() {
+      if (recording) {
+        recordAgain = true;
+        return;
+      }
+      recording = true;
+
+      try {
+        const courses = await readPlan();
+        if (!courses) return;
+
+        const list = await loadSnapshots();
+        const last = list[list.length - 1];
+        if (last && signature(last.courses) === signature(courses)) return;
+
+        list.push({ at: Date.now(), courses });
+        await saveSnapshots(list);
+      } catch (e) {
+        // The next change tries again
+        window.MDE.diagnostics.log("error", "feature:history", e);
+      } finally {
+        recording = false;
+        if (recordAgain) {
+          recordAgain = false;
+          recordSnapshot();
+        }
+      }
+    }
+
+    /***********************
+     * Diff
+     ***********************/
+
+    /**
+     * Compares two snapshots. Courses are matched by key (card id or code).
+     * @param {{ courses: object[] }} from
+     * @param {{ courses: object[] }} to
+     * @returns {{ terms: Map<string, { label: string, added: object[], removed: object[], movedIn: object[], movedOut: object[] }>, locks: string[], notes: string[] }}
+     */
+    function diffSnapshots(from, to) {
+      const before = new Map(from.courses.map((c) => [c.key, c]));
+      const after = new Map(to.courses.map((c) => [c.key, c]));
+
+      const terms = new Map();
+      const termEntry = (c) => {
+        if (!terms.has(c.termCode)) {
+          terms.set(c.termCode, { label: c.term, added: [], removed: [], movedIn: [], movedOut: [] });
+        }
+        return terms.get(c.termCode);
+      };
+
+      const locks = [];
+      const notes = [];
+
+      for (const [key, now] of after.entries()) {
+        const prev = before.get(key);
+
+        if (!prev) {
+          termEntry(now).added.push(now);
+          continue;
+        }
+
+        if (prev.termCode !== now.termCode) {
+          termEntry(now).movedIn.push({ ...now, fromTerm: prev.term });
+          termEntry(prev).movedOut.push({ ...prev, toTerm: now.term });
+        }
+
+        if (prev.locked !== now.locked) locks.push(`${now.locked ? "Locked" : "Unlocked"} ${now.code}`);
+        if (prev.note !== now.note) notes.push(now.note ? `${now.code}: “${now.note}”` : `${now.code}: note removed`);
+      }
+
+      for (const [key, prev] of before.entries()) {
+        if (!after.has(key)) termEntry(prev).removed.push(prev);
+      }
+
+      // Term order: term codes sort chronologically
+      return { terms: new Map([...terms.entries()].sort(([a], [b]) => (a < b ? -1 : 1))), locks, notes };
+    }
+
+    /***********************
+     * Rendering
+     ***********************/
+
+    function formatTime(ms) {
+      return new Date(ms).toLocaleString(undefined, {
+        month: "short",
+        day: "numeric",
+        hour: "numeric",
+        minute: "2-digit",
+      });
+    }
+
+    function el(tag, className, text) {
+      const node = document.createElement(tag);
+      if (className) node.className = className;
+      if (text != null) node.textContent = text;
+      return node;
+    }
+
+    /**
+     * One "Added: CS 261, CS 271" style line, or nothing if the list is empty.
+     * @param {Element} parent
+     * @param {string} kind
+     * @param {string} label
+     * @param {string[]} entries
+     */
+    function appendChangeLine(parent, kind, label, entries) {
+      if (!entries.length) return;
+
+      const line = el("div", `mde-history-change mde-history-change--${kind}`);
+      line.append(el("strong", null, `${label}: `), document.createTextNode(entries.join(", ")));
+      parent.appendChild(line);
+    }
+
+    function renderDiff(container, from, to) {
+      container.textContent = "";
+
+      const { terms, locks, notes } = diffSnapshots(from, to);
+
+      if (!terms.size && !locks.length && !notes.length) {
+        container.appendChild(el("p", "mde-panel-note", "No differences between these snapshots."));
+        return;
+      }
+
+      for (const term of terms.values()) {
+        const section = el("div", "mde-history-term");
+        section.appendChild(el("h3", null, term.label));
+
+        appendChangeLine(section, "added", "Added", term.added.map((c) => c.code));
+        appendChangeLine(section, "removed", "Removed", term.removed.map((c) => c.code));
+        appendChangeLine(section, "moved", "Moved in", term.movedIn.map((c) => `${c.code} (from ${c.fromTerm})`));
+        appendChangeLine(section, "moved", "Moved out", term.movedOut.map((c) => `${c.code} (to ${c.toTerm})`));
+
+        container.appendChild(section);
+      }
+
+      if (locks.length || notes.length) {
+        const section = el("div", "mde-history-term");
+        section.appendChild(el("h3", null, "Locks and notes"));
+        appendChangeLine(section, "lock", "Locks", locks);
+        appendChangeLine(section, "note", "Notes", notes);
+        container.appendChild(section);
+      }
+    }
+
+    function snapshotSelect(list, selectedIndex) {
+      const select = el("select", "mde-history-select");
+
+      list.forEach((snap, i) => {
+        const option = el("option", null, `${formatTime(snap.at)} · ${snap.courses.length} courses`);
+        option.value = String(i);
+        option.selected = i === selectedIndex;
+        select.appendChild(option);
+      });
+
+      return select;
+    }
+
+    async function openHistory() {
+      const body = window.MDE.openPanel({ id: "history", title: "Plan history" });
+
+      // Make sure the current plan is in the list before showing it
+      await recordSnapshot();
+      const list = await loadSnapshots();
+
+      if (list.length < 2) {
+        body.textContent = list.length
+          ? "Only one snapshot so far. Changes to your plan will show up here."
+          : "No snapshots yet. Open your plan on the MyDegrees planner first.";
+        return;
+      }
+
+      // Timeline: newest first, click to compare with the one before it
+      const timeline = el("ol", "mde-history-timeline");
+      const controls = el("div", "mde-history-controls");
+      const diff = el("div", "mde-history-diff");
+
+      const fromSelect = snapshotSelect(list, list.length - 2);
+      const toSelect = snapshotSelect(list, list.length - 1);
+
+      const update = () => {
+        const a = Number(fromSelect.value);
+        const b = Number(toSelect.value);
+        renderDiff(diff, list[Math.min(a, b)], list[Math.max(a, b)]);
+
+        timeline.querySelectorAll("li").forEach((li) => {
+          li.classList.toggle("mde-history-selected", li.dataset.index === toSelect.value);
+        });
+      };
+
+      fromSelect.addEventListener("change", update);
+      toSelect.addEventListener("change", update);
+
+      for (let i = list.length - 1; i >= 0; i--) {
+        const item = el("li", null, `${formatTime(list[i].at)} · ${list[i].courses.length} courses`);
+        item.dataset.index = String(i);
+        item.tabIndex = 0;
+
+        const select = () => {
+          toSelect.value = String(i);
+          fromSelect.value = String(Math.max(0, i - 1));
+          update();
+        };
+        item.addEventListener("click", select);
+        item.addEventListener("keydown", (e) => {
+          if (e.key === "Enter") select();
+        });
+
+        timeline.appendChild(item);
+      }
+
+      const fromLabel = el("label", null, "From ");
+      fromLabel.appendChild(fromSelect);
+      const toLabel = el("label", null, "To ");
+      toLabel.appendChild(toSelect);
+      controls.append(fromLabel, toLabel);
+
+      const layout = el("div", "mde-history-layout");
+      const main = el("div", "mde-history-main");
+      main.append(controls, diff);
+      layout.append(timeline, main);
+      body.appendChild(layout);
+
+      update();
+    }
+
+    /**
+     * Adds the "Plan history" button to the planner toolbar.
+     */
+    function ensureButton() {
+      const bar = window.MDE.ensureToolbar();
+      if (!bar || bar.querySelector(`.${BTN_CLASS}`)) return;
+
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = `mde-toolbar-btn ${BTN_CLASS}`;
+      btn.textContent = "Plan history";
+      btn.addEventListener("click", openHistory);
+      bar.appendChild(btn);
+    }
+
+    /***********************
+     * Start
+     ***********************/
+
+    ensureButton();
+
+    let timer = null;
+    const scheduleSnapshot = () => {
+      if (timer) clearTimeout(timer);
+      timer = setTimeout(recordSnapshot, SETTLE_MS);
+    };
+
+    // Locks and notes are our own changes, which the planner model ignores;
+    // they show up as storage writes instead
+    const watchStorage = (changes, area) => {
+      if (area !== "local") return;
+      if (Object.keys(changes).some((k) => SNAPSHOT_SOURCE_KEYS.some((base) => k.startsWith(base)))) {
+        scheduleSnapshot();
+      }
+    };
+    chrome.storage.onChanged.addListener(watchStorage);
+
+    const unsubscribe = [
+      window.MDE.planner.on("change", scheduleSnapshot),
+      window.MDE.planner.on("dom-changed", ensureButton),
+    ];
+
+    // Baseline: the planner may have been read before we subscribed, in which
+    // case no change comes until the student's first edit. With no planner
+    // yet, readPlan() finds nothing and the first change records it instead.
+    scheduleSnapshot();
+
+    return {
+      onMessage(msg) {
+        if (msg?.type === "MDE_OPEN_HISTORY") openHistory();
+      },
+      destroy() {
+        unsubscribe.forEach((off) => off());
+        chrome.storage.onChanged.removeListener(watchStorage);
+        if (timer) clearTimeout(timer);
+        document.querySelectorAll(`.${BTN_CLASS}`).forEach((el) => el.remove());
+      },
+    };
+  },
+});
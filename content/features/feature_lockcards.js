@@ -2,18 +2,37 @@
  * Feature: lockcards
  * Adds a lock icon on planner course cards. When locked, a card cannot be dragged
  * (draggable="false") until unlocked.
+ *
+ * Locks also block the card's "More options" move/delete menu items and
+ * warn when a locked card ends up in another term anyway.
+ *
+ * A card is locked when any of these apply (a per-card choice wins):
+ *  - the card itself was locked/unlocked (mdeLockedCards_v1:<studentId>: { [cardId]: boolean })
+ *  - its term column is locked from the header (mdeLockedTerms_v1:<studentId>: { [termCode]: true })
+ *  - "auto-lock" is on and the audit history shows the course completed or in
+ *    progress in that term (sync setting mdeAutoLockCompleted)
  */
 window.MDE.registerFeature({
   id: "lockcards",
+  label: "Show locks",
+  description:
+    "Prevents locked courses from being moved between terms. Use the lock next to a term's name to lock the whole term.",
+  settingKey: "mdeLockCardsEnabled",
+  settings: { mdeAutoLockCompleted: false },
 
   async init() {
     /***********************
-     * Toggle state (popup)
+     * Toggle state (registry hooks + auto-lock setting)
      ***********************/
     const ICON_LOCKED = chrome.runtime.getURL("assets/lock.png");
     const ICON_UNLOCKED = chrome.runtime.getURL("assets/unlock.png");
 
-    let lockEnabled = true;
+    // Off until the registry calls enable()
+    let lockEnabled = false;
+    let autoLockCompleted = false;
+
+    // Audit history from the service worker; null until fetched (or when stale)
+    let historyMap = null;
 
     /**
      * Debounce re-processing when the DOM changes.
@@ -38,7 +57,7 @@ window.MDE.registerFeature({
 
       if (!lockEnabled) {
         // Remove injected buttons and restore dragging
-        document.querySelectorAll(".mde-lock-btn").forEach((btn) => btn.remove());
+        document.querySelectorAll(".mde-lock-btn, .mde-term-lock-btn").forEach((btn) => btn.remove());
 
         document
           .querySelectorAll("#term-container div.MuiCard-root[draggable]")
@@ -50,43 +69,60 @@ window.MDE.registerFeature({
         return;
       }
 
+      // History changes aren't delivered while off; fetch it again when needed
+      historyMap = null;
       schedule();
     }
 
     /**
-     * Initialize toggle state on page load from sync storage.
+     * Auto-locking of completed/in-progress courses (registry settings hook).
+     * @param {{ mdeAutoLockCompleted: boolean }} values
      */
-    async function initLockEnabledState() {
-      const { mdeLockCardsEnabled = true } = await chrome.storage.sync.get({
-        mdeLockCardsEnabled: true,
-      });
-      setLockEnabled(mdeLockCardsEnabled);
+    function applySettings({ mdeAutoLockCompleted }) {
+      autoLockCompleted = Boolean(mdeAutoLockCompleted);
+      schedule();
     }
 
-    /**
-     * Live updates from popup without reload.
-     */
-    chrome.runtime.onMessage.addListener((msg) => {
-      if (msg?.type === "MDE_SET_LOCKCARDS_ENABLED") {
-        setLockEnabled(msg.enabled);
+    function onMessage(msg) {
+      if (msg?.type === "MDE_CACHE_CHANGED" && msg.cache === "history") {
+        historyMap = null;
+        schedule();
       }
-    });
 
-    await initLockEnabledState();
+      // Keyboard shortcut (manifest "commands")
+      if (msg?.type === "MDE_COMMAND" && msg.command === "lock-focused-card") {
+        toggleFocusedCard();
+      }
+    }
 
     /***********************
      * Storage + DOM helpers
      ***********************/
-    const LOCK_MAP_KEY = "mdeLockedCards_v1"; // chrome.storage.local
+    // chrome.storage.local, one of each per student (see window.MDE.scopedKey)
+    const LOCK_MAP_KEY = "mdeLockedCards_v1";
+    const TERM_LOCK_KEY = "mdeLockedTerms_v1";
     const BTN_CLASS = "mde-lock-btn";
+    const TERM_BTN_CLASS = "mde-term-lock-btn";
     const LOCKED_CLASS = "mde-card-locked";
+    const COURSE_CODE_REGEX = /^[A-Z]{2,4}\s?\d{3}[A-Z]?$/;
+
+    // Statuses from the audit history that count as "taken"
+    const AUTO_LOCK_STATUSES = new Set(["complete", "inprogress"]);
+
+    // Last computed lock state per card id (what the page currently shows)
+    const lockedNow = new Map();
+
+    // Where each locked card was last seen: cardId -> { termCode, label, courseCode }
+    const lockedPlacement = new Map();
 
     /**
-     * Load lock map: { [cardId: string]: true }
+     * Load lock map: { [cardId: string]: boolean }
+     * false means "unlocked on purpose", overriding a term or auto lock.
      * @returns {Promise<Record<string, boolean>>}
      */
     async function loadLockMap() {
-      const obj = (await chrome.storage.local.get(LOCK_MAP_KEY))[LOCK_MAP_KEY];
+      const key = await window.MDE.scopedKey(LOCK_MAP_KEY);
+      const obj = (await chrome.storage.local.get(key))[key];
       return obj && typeof obj === "object" ? obj : {};
     }
 
@@ -95,21 +131,109 @@ window.MDE.registerFeature({
      * @param {Record<string, boolean>} obj
      */
     async function saveLockMap(obj) {
-      await chrome.storage.local.set({ [LOCK_MAP_KEY]: obj });
+      await chrome.storage.local.set({ [await window.MDE.scopedKey(LOCK_MAP_KEY)]: obj });
     }
 
     /**
-     * Each card has a stable id embedded in the "More options..." button.
-     * Example: aria-controls="action-menu-plan-requirement-CL-4bfff70e..."
-     * We'll use the "CL-..." part as the unique key.
+     * Load term locks: { [termCode: string]: true }
+     * @returns {Promise<Record<string, boolean>>}
+     */
+    async function loadTermLocks() {
+      const key = await window.MDE.scopedKey(TERM_LOCK_KEY);
+      const obj = (await chrome.storage.local.get(key))[key];
+      return obj && typeof obj === "object" ? obj : {};
+    }
+
+    /**
+     * Save term locks
+     * @param {Record<string, boolean>} obj
+     */
+    async function saveTermLocks(obj) {
+      await chrome.storage.local.set({ [await window.MDE.scopedKey(TERM_LOCK_KEY)]: obj });
+    }
+
+    /**
+     * Audit history (course code -> { grade, status, term }), fetched once per
+     * page and again after the service worker reports a change.
+     * @returns {Promise<Map<string, object>>}
+     */
+    async function getHistory() {
+      if (!historyMap) {
+        try {
+          const studentId = await window.MDE.getStudentId();
+          const { history } = await window.MDE.requestBackground({ type: "MDE_GET_HISTORY", studentId });
+          historyMap = new Map(Object.entries(history || {}));
+        } catch {
+          return new Map();
+        }
+      }
+
+      return historyMap;
+    }
+
+    // Read-only access for other features (export, ...)
+    window.MDE.lockcards = {
+      /**
+       * @param {string|null} cardId
+       * @returns {Promise<boolean>}
+       */
+      async isLocked(cardId) {
+        if (!cardId) return false;
+        if (lockedNow.has(cardId)) return lockedNow.get(cardId);
+
+        const map = await loadLockMap();
+        return map[cardId] === true;
+      },
+
+      /**
+       * Reads the lock map once for a pass over many cards.
+       * @returns {Promise<(cardId: string|null) => boolean>} lock lookup, as isLocked
+       */
+      async readLocks() {
+        const map = await loadLockMap();
+        return (cardId) => {
+          if (!cardId) return false;
+          return lockedNow.has(cardId) ? lockedNow.get(cardId) : map[cardId] === true;
+        };
+      },
+    };
+
+    /**
+     * Course code shown on a card ("CS 161"), or null.
      * @param {Element} cardEl
      * @returns {string|null}
      */
-    function getCardId(cardEl) {
-      const btn = cardEl.querySelector('button[aria-controls^="action-menu-plan-requirement-"]');
-      const controls = btn?.getAttribute("aria-controls") || "";
-      const m = controls.match(/\b(CL-[A-Za-z0-9]+)\b/);
-      return m ? m[1] : null;
+    function readCardCourseCode(cardEl) {
+      for (const el of cardEl.querySelectorAll("p")) {
+        const text = (el.textContent || "").trim();
+        if (COURSE_CODE_REGEX.test(text)) return text.replace(/^([A-Z]+)\s?/, "$1 ");
+      }
+      return null;
+    }
+
+    /**
+     * Why a card is locked when it has no per-card choice, or null if it isn't.
+     * @param {{ label: string, termCode: string }|undefined} term
+     * @param {string|null} courseCode
+     * @param {Record<string, boolean>} termLocks
+     * @param {Map<string, object>} history
+     * @returns {string|null}
+     */
+    function inheritedLockReason(term, courseCode, termLocks, history) {
+      if (term && termLocks[term.termCode]) return `${term.label} is locked`;
+
+      if (autoLockCompleted && courseCode) {
+        const rec = history.get(courseCode);
+
+        // Match the history term when both sides have one, so a planned retake stays movable
+        const sameTerm = !rec?.term || !term || rec.term === term.termCode;
+
+        if (rec && AUTO_LOCK_STATUSES.has(rec.status) && sameTerm) {
+          return rec.status === "complete" ? "Completed course" : "In-progress course";
+        }
+      }
+
+      return null;
     }
 
     /**
@@ -127,7 +251,7 @@ window.MDE.registerFeature({
      * @param {Element} btn
      * @param {boolean} locked
      */
-    function setButtonVisual(btn, locked) {
+    function setButtonVisual(btn, locked, reason = null) {
       let img = btn.querySelector("img");
 
       if (!img) {
@@ -140,6 +264,9 @@ window.MDE.registerFeature({
 
       img.src = locked ? ICON_LOCKED : ICON_UNLOCKED;
       btn.setAttribute("data-locked", locked ? "1" : "0");
+
+      if (reason) btn.title = `Locked (${reason})`;
+      else btn.removeAttribute("title");
     }
 
     /**
@@ -147,8 +274,9 @@ window.MDE.registerFeature({
      * @param {Element} cardEl
      * @param {string} cardId
      * @param {boolean} locked
+     * @param {string|null} reason inherited lock reason (term / auto-lock)
      */
-    function upsertLockButton(cardEl, cardId, locked) {
+    function upsertLockButton(cardEl, cardId, locked, reason) {
       let btn = cardEl.querySelector(`.${BTN_CLASS}`);
 
       if (!btn) {
@@ -167,15 +295,18 @@ window.MDE.registerFeature({
           if (!id) return;
 
           const map = await loadLockMap();
-          const nextLocked = !Boolean(map[id]);
+          const nextLocked = btn.getAttribute("data-locked") !== "1";
 
-          if (nextLocked) map[id] = true;
-          else delete map[id];
+          // Only remember a per-card choice when it differs from the term/auto lock
+          const inherited = Boolean(btn.dataset.mdeInheritedLock);
+          if (nextLocked === inherited) delete map[id];
+          else map[id] = nextLocked;
 
           await saveLockMap(map);
 
           // Update UI immediately
-          setButtonVisual(btn, nextLocked);
+          lockedNow.set(id, nextLocked);
+          setButtonVisual(btn, nextLocked, nextLocked && inherited ? btn.dataset.mdeInheritedLock : null);
           applyLockedState(cardEl, nextLocked);
         });
 
@@ -184,57 +315,309 @@ window.MDE.registerFeature({
 
       // Keep button state in sync
       btn.dataset.mdeCardId = cardId;
+      if (reason) btn.dataset.mdeInheritedLock = reason;
+      else delete btn.dataset.mdeInheritedLock;
+      setButtonVisual(btn, locked, locked ? reason : null);
+    }
+
+    /**
+     * Create or update the lock toggle shown before a term column's header.
+     * @param {{ columnEl: Element, headerEl: Element, label: string, termCode: string }} term
+     * @param {boolean} locked
+     */
+    function upsertTermLockButton(term, locked) {
+      let btn = term.headerEl.previousElementSibling;
+
+      if (!btn || !btn.classList.contains(TERM_BTN_CLASS)) {
+        btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = TERM_BTN_CLASS;
+        btn.dataset.mdeInjected = "1";
+
+        btn.addEventListener("click", async (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+
+          const termCode = btn.dataset.mdeTermCode;
+          if (!termCode) return;
+
+          const termLocks = await loadTermLocks();
+          const nextLocked = !termLocks[termCode];
+
+          if (nextLocked) termLocks[termCode] = true;
+          else delete termLocks[termCode];
+
+          // The whole term follows the header toggle, so drop per-card choices in it
+          const map = await loadLockMap();
+          for (const cardEl of term.columnEl.querySelectorAll("div.MuiCard-root[draggable]")) {
+            const cardId = window.MDE.getCardId(cardEl);
+            if (cardId) delete map[cardId];
+          }
+
+          await saveTermLocks(termLocks);
+          await saveLockMap(map);
+          await processPage();
+        });
+
+        term.headerEl.insertAdjacentElement("beforebegin", btn);
+      }
+
+      btn.dataset.mdeTermCode = term.termCode;
+
+      // Only touch attributes when they change, otherwise we re-trigger the observer
+      const state = locked ? "1" : "0";
+      if (btn.getAttribute("data-locked") === state) return;
+
+      const label = locked ? `Unlock all courses in ${term.label}` : `Lock all courses in ${term.label}`;
       setButtonVisual(btn, locked);
+      btn.setAttribute("aria-label", label);
+      btn.setAttribute("aria-pressed", String(locked));
+      btn.title = label;
     }
 
     /**
      * Process all planner course cards:
-     * - inject lock button
+     * - inject term lock toggles and card lock buttons
      * - enforce draggable based on stored lock state
      */
     async function processPage() {
       if (!lockEnabled) return;
 
       const map = await loadLockMap();
+      const termLocks = await loadTermLocks();
+      const history = autoLockCompleted ? await getHistory() : new Map();
 
-      // Narrow scope: only cards in planner columns
-      const termContainer = document.querySelector("#term-container");
-      if (!termContainer) return;
+      // Planner columns and cards come from the shared planner model
+      const terms = window.MDE.planner.getTerms();
+      for (const term of terms) upsertTermLockButton(term, Boolean(termLocks[term.termCode]));
 
-      const cards = Array.from(termContainer.querySelectorAll('div.MuiCard-root[draggable]'));
+      for (const card of window.MDE.planner.getCards()) {
+        const { el: cardEl, cardId } = card;
 
-      for (const cardEl of cards) {
-        // Extra narrowing: must have action-menu button (real course card)
-        const cardId = getCardId(cardEl);
-        if (!cardId) continue;
+        // Extra narrowing: a MUI card with an action-menu button (real course card)
+        if (!cardId || !cardEl.matches("div.MuiCard-root")) continue;
 
-        const locked = Boolean(map[cardId]);
-        upsertLockButton(cardEl, cardId, locked);
+        const term = terms.find((t) => t.termIndex === card.termIndex);
+        const reason = inheritedLockReason(term, readCardCourseCode(cardEl), termLocks, history);
+        const locked = typeof map[cardId] === "boolean" ? map[cardId] : Boolean(reason);
+
+        lockedNow.set(cardId, locked);
+        upsertLockButton(cardEl, cardId, locked, reason);
         applyLockedState(cardEl, locked);
+
+        if (term) checkLockedPlacement(cardId, locked, term, readCardCourseCode(cardEl));
       }
     }
 
     /***********************
-     * Start
+     * Enforcement
      ***********************/
 
-    await processPage();
+    // Menu items that change where a card is (or whether it exists)
+    const BLOCKED_ACTION_REGEX = /\b(move|delete|remove)\b/i;
+    const MENU_ID_PREFIX = "action-menu-plan-requirement-";
 
-    // Warmup: MyDegrees renders asynchronously; retry briefly
-    let tries = 0;
-    const maxTries = 10; // ~2 seconds total
-    const intervalMs = 200;
+    /**
+     * Card element for a card id, via its "More options" button.
+     * @param {string} cardId
+     * @returns {Element|null}
+     */
+    function findCardById(cardId) {
+      const btn = document.querySelector(`button[aria-controls="${MENU_ID_PREFIX}${cardId}"]`);
+      return btn?.closest("div.MuiCard-root[draggable]") || null;
+    }
 
-    const warmup = setInterval(async () => {
-      tries++;
+    /**
+     * Unlocks one card from a toast action, keeping any term/auto lock on the rest.
+     * @param {string} cardId
+     */
+    async function unlockCard(cardId) {
+      const btn = findCardById(cardId)?.querySelector(`.${BTN_CLASS}`);
+      const map = await loadLockMap();
+
+      if (btn?.dataset.mdeInheritedLock) map[cardId] = false;
+      else delete map[cardId];
+
+      await saveLockMap(map);
       await processPage();
+    }
+
+    /**
+     * Tells the user a locked card can't be changed, with a one-click unlock.
+     * @param {string} cardId
+     * @param {string} what e.g. "moved or deleted"
+     */
+    function showLockedMessage(cardId, what) {
+      const cardEl = findCardById(cardId);
+      const name = (cardEl && readCardCourseCode(cardEl)) || "This course";
+
+      window.MDE.toast(`${name} is locked and can't be ${what}. Unlock it first.`, {
+        action: { label: "Unlock", onClick: () => unlockCard(cardId) },
+      });
+    }
+
+    /**
+     * The locked card a menu item belongs to, if the item moves/deletes it.
+     * @param {EventTarget} target
+     * @returns {string|null} card id
+     */
+    function blockedMenuCardId(target) {
+      if (!lockEnabled || !(target instanceof Element)) return null;
+
+      const item = target.closest('[role="menuitem"]');
+      const menu = item?.closest(`[id^="${MENU_ID_PREFIX}"]`);
+      if (!menu) return null;
+
+      const cardId = menu.id.slice(MENU_ID_PREFIX.length);
+      if (!lockedNow.get(cardId)) return null;
+
+      return BLOCKED_ACTION_REGEX.test(item.textContent || "") ? cardId : null;
+    }
+
+    /**
+     * Capture-phase guard, so the site's own handlers never see the event.
+     * @param {Event} e
+     */
+    function guardMenuAction(e) {
+      // MUI menu items activate on Enter keydown and Space keyup
+      if (e.type === "keydown" && e.key !== "Enter") return;
+      if (e.type === "keyup" && e.key !== " ") return;
+
+      const cardId = blockedMenuCardId(e.target);
+      if (!cardId) return;
+
+      e.preventDefault();
+      e.stopImmediatePropagation();
+
+      if (e.type !== "keydown" || !e.repeat) showLockedMessage(cardId, "moved or deleted");
+    }
+
+    /**
+     * Backstop for drag sources that ignore draggable="false".
+     * @param {DragEvent} e
+     */
+    function guardDragStart(e) {
+      if (!lockEnabled || !(e.target instanceof Element)) return;
+
+      const cardEl = e.target.closest("#term-container div.MuiCard-root[draggable]");
+      const cardId = cardEl && window.MDE.getCardId(cardEl);
+      if (!cardId || !lockedNow.get(cardId)) return;
+
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      showLockedMessage(cardId, "moved");
+    }
+
+    /**
+     * Warns when a locked card shows up in a different term than last time
+     * (a move that didn't go through the menu or drag, e.g. another plan edit).
+     * @param {string} cardId
+     * @param {boolean} locked
+     * @param {{ termCode: string, label: string }} term
+     * @param {string|null} courseCode
+     */
+    function checkLockedPlacement(cardId, locked, term, courseCode) {
+      const prev = lockedPlacement.get(cardId);
+
+      if (!locked) {
+        lockedPlacement.delete(cardId);
+        return;
+      }
+
+      if (prev && prev.termCode !== term.termCode) {
+        window.MDE.toast(
+          `${courseCode || prev.courseCode || "A locked course"} is locked but was moved from ${prev.label} to ${term.label}.`
+        );
+      }
+
+      lockedPlacement.set(cardId, { termCode: term.termCode, label: term.label, courseCode });
+    }
+
+    /***********************
+     * Keyboard: lock the focused card
+     ***********************/
+
+    // The card under the mouse counts as "focused" when focus is elsewhere
+    let hoveredCard = null;
+
+    function trackHoveredCard(e) {
+      const cardEl = e.target instanceof Element ? e.target.closest("#term-container div.MuiCard-root[draggable]") : null;
+      if (cardEl) hoveredCard = cardEl;
+    }
+
+    document.addEventListener("mouseover", trackHoveredCard);
 
-      if (document.querySelectorAll(".mde-lock-btn").length > 0 || tries >= maxTries) {
-        clearInterval(warmup);
+    /**
+     * Locks/unlocks the card holding keyboard focus (or the last hovered one)
+     * by pressing its lock button, so it behaves exactly like a click.
+     */
+    function toggleFocusedCard() {
+      if (!lockEnabled) {
+        window.MDE.toast("Course locks are turned off.");
+        return;
+      }
+
+      const focused = document.activeElement?.closest?.("#term-container div.MuiCard-root[draggable]");
+      const cardEl = focused || (hoveredCard?.isConnected ? hoveredCard : null);
+      const btn = cardEl?.querySelector(`.${BTN_CLASS}`);
+
+      if (!btn) {
+        window.MDE.toast("Focus or point at a course card first.");
+        return;
       }
-    }, intervalMs);
 
-    const obs = new MutationObserver(schedule);
-    obs.observe(document.body, { childList: true, subtree: true });
+      const wasLocked = btn.getAttribute("data-locked") === "1";
+      btn.click();
+      window.MDE.toast(`${readCardCourseCode(cardEl) || "Course"} ${wasLocked ? "unlocked" : "locked"}.`);
+    }
+
+    document.addEventListener("click", guardMenuAction, true);
+    document.addEventListener("keydown", guardMenuAction, true);
+    document.addEventListener("keyup", guardMenuAction, true);
+    document.addEventListener("dragstart", guardDragStart, true);
+
+    /***********************
+     * Start
+     ***********************/
+
+    // Only MUI cards get a lock button
+    window.MDE.diagnostics.addHealthCheck({
+      id: "lockable-cards",
+      label: "Lockable cards matched",
+      run() {
+        const cards = window.MDE.planner.getCards();
+        if (!cards.length) return { ok: null, detail: "no cards" };
+
+        const count = cards.filter((c) => c.el.matches("div.MuiCard-root")).length;
+        return { ok: count > 0, detail: `${count} of ${cards.length} cards` };
+      },
+    });
+
+    // Cards added, moved or removed, or re-rendered without their lock button
+    const unsubscribe = [
+      window.MDE.planner.on("change", schedule),
+      window.MDE.planner.on("nodes-changed", ({ nodes }) => {
+        if (nodes.some((n) => n.closest("#term-container"))) schedule();
+      }),
+    ];
+
+    return {
+      applySettings,
+      onMessage,
+      enable: () => setLockEnabled(true),
+      disable: () => setLockEnabled(false),
+      destroy() {
+        unsubscribe.forEach((off) => off());
+        if (timer) clearTimeout(timer);
+
+        document.removeEventListener("mouseover", trackHoveredCard);
+        document.removeEventListener("click", guardMenuAction, true);
+        document.removeEventListener("keydown", guardMenuAction, true);
+        document.removeEventListener("keyup", guardMenuAction, true);
+        document.removeEventListener("dragstart", guardDragStart, true);
+
+        setLockEnabled(false);
+      },
+    };
   },
 });
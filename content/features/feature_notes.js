@@ -2,22 +2,42 @@
  * Feature: notes
  * Displays course notes inline on each course card (when a note exists),
  * and keeps a local cache updated based on the note dialog.
+ *
+ * On load the cache is filled from the plan itself (via the service worker's
+ * MDE_GET_PLAN_NOTES), so notes show before any dialog is opened; the dialog
+ * capture stays as a fallback and keeps edits current.
+ *
+ * Clicking a note (or its pencil) opens the site's own note dialog for that
+ * card, so edits are saved by MyDegrees and read back by the dialog capture;
+ * the extension never keeps a note the site doesn't have.
+ *
+ * Notes are keyed by card id ("CL-...") so a repeatable course planned in
+ * several terms can hold a different note on each card. Course-code keys
+ * (the old format) still work as a fallback and move onto the card once it's
+ * the only card for that course.
  */
 window.MDE.registerFeature({
   id: "notes",
+  label: "Make notes visible",
+  settingKey: "mdeNotesEnabled",
 
   async init() {
     /***********************
      * Config
      ***********************/
-    const NOTES_CACHE_KEY = "mdeNotesCache_v1"; // local cache: { "CS 325": "note text" }
+    // local cache, one per student (see window.MDE.scopedKey): { "CL-4bff...": "note text", "CS 325": "fallback" }
+    const NOTES_CACHE_KEY = "mdeNotesCache_v2";
+    const LEGACY_NOTES_CACHE_KEY = "mdeNotesCache_v1"; // { "CS 325": "note text" }
     const NOTE_CLASS = "mde-note-inline";
+    const NOTE_TEXT_CLASS = "mde-note-text";
+    const EDIT_BTN_CLASS = "mde-note-edit-btn";
     const NOTE_BTN_SELECTOR = 'button[aria-label$=" Notes"]';
 
-    let notesEnabled = true;
+    // Off until the registry calls enable()
+    let notesEnabled = false;
 
     /***********************
-     * Enable/disable wiring (popup toggle)
+     * Enable/disable wiring (registry hooks)
      ***********************/
 
     function setNotesEnabled(enabled) {
@@ -32,30 +52,76 @@ window.MDE.registerFeature({
       }
     }
 
-    async function initNotesEnabledState() {
-      const { mdeNotesEnabled = true } = await chrome.storage.sync.get({
-        mdeNotesEnabled: true,
-      });
-      setNotesEnabled(mdeNotesEnabled);
-    }
-
-    chrome.runtime.onMessage.addListener((msg) => {
-      if (msg?.type === "MDE_SET_NOTES_ENABLED") {
-        setNotesEnabled(msg.enabled);
-      }
-    });
-
     /***********************
      * Cache helpers
      ***********************/
 
     async function loadNotesCache() {
-      const obj = (await chrome.storage.local.get(NOTES_CACHE_KEY))[NOTES_CACHE_KEY];
+      const key = await window.MDE.scopedKey(NOTES_CACHE_KEY);
+      const obj = (await chrome.storage.local.get(key))[key];
       return obj && typeof obj === "object" ? obj : {};
     }
 
     async function saveNotesCache(obj) {
-      await chrome.storage.local.set({ [NOTES_CACHE_KEY]: obj });
+      await chrome.storage.local.set({ [await window.MDE.scopedKey(NOTES_CACHE_KEY)]: obj });
+    }
+
+    /**
+     * One-time move of v1 (course-code keyed) notes into v2 as fallback entries.
+     */
+    async function migrateNotesCache() {
+      const legacy = (await chrome.storage.local.get(LEGACY_NOTES_CACHE_KEY))[LEGACY_NOTES_CACHE_KEY];
+      if (!legacy || typeof legacy !== "object") return;
+
+      const cache = await loadNotesCache();
+      for (const [code, text] of Object.entries(legacy)) {
+        if (!(code in cache)) cache[code] = text;
+      }
+
+      await saveNotesCache(cache);
+      await chrome.storage.local.remove(LEGACY_NOTES_CACHE_KEY);
+    }
+
+    /**
+     * Copies every note on the plan into the cache (plan notes win over
+     * cached ones for the same card). Fails quietly: the
+     * dialog capture still fills the cache as notes are opened.
+     */
+    async function loadPlanNotes() {
+      let notes;
+      try {
+        const studentId = await window.MDE.getStudentId();
+        ({ notes } = await window.MDE.requestBackground({ type: "MDE_GET_PLAN_NOTES", studentId }));
+      } catch {
+        return;
+      }
+
+      const entries = Object.entries(notes || {});
+      if (!entries.length) return;
+
+      const cache = await loadNotesCache();
+      let changed = false;
+
+      for (const [cardId, text] of entries) {
+        if (cache[cardId] === text) continue;
+        cache[cardId] = text;
+        changed = true;
+      }
+
+      if (changed) await saveNotesCache(cache);
+    }
+
+    /**
+     * Note for a card: its own entry if it has one (even "" = no note),
+     * otherwise the course-code fallback.
+     * @param {Record<string, string>} cache
+     * @param {string|null} cardId
+     * @param {string|null} code
+     * @returns {string}
+     */
+    function lookupNote(cache, cardId, code) {
+      if (cardId && cardId in cache) return (cache[cardId] || "").trim();
+      return code ? (cache[code] || "").trim() : "";
     }
 
     /**
@@ -70,11 +136,15 @@ window.MDE.registerFeature({
     }
 
     /**
-     * Find an open note dialog (MUI uses role="dialog")
+     * Find the site's open note dialog (an MUI dialog; our own panels also use
+     * role="dialog" and must never be read as a note)
      * @returns {Element|null}
      */
     function findOpenNoteDialog() {
-      return document.querySelector('div[role="dialog"]');
+      for (const dialog of document.querySelectorAll('.MuiDialog-root [role="dialog"]')) {
+        if (!dialog.closest("[data-mde-injected], .mde-panel")) return dialog;
+      }
+      return null;
     }
 
     /**
@@ -128,6 +198,7 @@ window.MDE.registerFeature({
       }
 
       let box = cardEl.querySelector(`.${NOTE_CLASS}`);
+
       if (!text) {
         if (box) box.remove();
         return;
@@ -137,27 +208,64 @@ window.MDE.registerFeature({
         box = document.createElement("div");
         box.className = NOTE_CLASS;
         box.dataset.mdeInjected = "1";
+        box.title = "Click to edit note in MyDegrees";
+        box.addEventListener("click", (e) => {
+          e.stopPropagation();
+          openNoteDialog(cardEl);
+        });
+
         cardEl.appendChild(box);
       }
 
-      box.textContent = text;
+      let textEl = box.querySelector(`.${NOTE_TEXT_CLASS}`);
+      if (!textEl) {
+        box.textContent = "";
+
+        textEl = document.createElement("span");
+        textEl.className = NOTE_TEXT_CLASS;
+
+        const editBtn = document.createElement("button");
+        editBtn.type = "button";
+        editBtn.className = EDIT_BTN_CLASS;
+        editBtn.setAttribute("aria-label", "Edit note in MyDegrees");
+        editBtn.textContent = "✎";
+
+        box.append(textEl, editBtn);
+      }
+
+      // Only touch text when it changes, otherwise our own write re-triggers the observer
+      if (textEl.textContent !== text) textEl.textContent = text;
+    }
+
+    /***********************
+     * Editing (through the site's dialog)
+     ***********************/
+
+    /**
+     * Opens MyDegrees' note dialog for a card by pressing its own note button;
+     * the click is tracked below like any other, so the dialog's text (once
+     * saved on the site) comes back into the cache.
+     * @param {Element} cardEl
+     */
+    function openNoteDialog(cardEl) {
+      if (!notesEnabled) return;
+      cardEl.querySelector(NOTE_BTN_SELECTOR)?.click();
     }
 
     /**
-     * Get all planner course cards (draggable=true in your UI).
+     * Planner course card elements, from the shared planner model.
      * @returns {Element[]}
      */
     function getPlannerCards() {
-      return Array.from(document.querySelectorAll('div[draggable="true"]'));
+      return window.MDE.planner.getCards().map((c) => c.el);
     }
 
     /**
-     * For each course card, show an inline note if we have one cached.
+     * Card id + course code for each card that has a note button.
+     * @returns {Array<{ card: Element, cardId: string|null, code: string }>}
      */
-    async function renderNotesFromCache() {
-      if (!notesEnabled) return;
-
-      const cache = await loadNotesCache();
+    function readNoteCards() {
+      const out = [];
 
       for (const card of getPlannerCards()) {
         const btn = card.querySelector(NOTE_BTN_SELECTOR);
@@ -166,42 +274,147 @@ window.MDE.registerFeature({
         const code = courseCodeFromNotesAria(btn.getAttribute("aria-label") || "");
         if (!code) continue;
 
-        const note = (cache[code] || "").trim();
-        upsertInlineNote(card, note);
+        out.push({ card, cardId: window.MDE.getCardId(card), code });
+      }
+
+      return out;
+    }
+
+    /**
+     * Moves course-code notes onto the card when exactly one card on the page
+     * has that course; with several, the note stays a shared fallback.
+     * @param {Record<string, string>} cache (mutated)
+     * @param {Array<{ cardId: string|null, code: string }>} cards
+     * @returns {boolean} true if the cache changed
+     */
+    function adoptCodeNotes(cache, cards) {
+      const byCode = new Map();
+      for (const c of cards) {
+        if (!byCode.has(c.code)) byCode.set(c.code, []);
+        byCode.get(c.code).push(c);
+      }
+
+      let changed = false;
+
+      for (const [code, list] of byCode.entries()) {
+        if (!(code in cache) || list.length !== 1 || !list[0].cardId) continue;
+
+        const { cardId } = list[0];
+        if (!(cardId in cache)) cache[cardId] = cache[code];
+        delete cache[code];
+        changed = true;
+      }
+
+      return changed;
+    }
+
+    /**
+     * For each course card, show an inline note if we have one cached.
+     */
+    async function renderNotesFromCache() {
+      if (!notesEnabled) return;
+
+      const cache = await loadNotesCache();
+      const cards = readNoteCards();
+
+      if (adoptCodeNotes(cache, cards)) await saveNotesCache(cache);
+
+      for (const { card, cardId, code } of cards) {
+        upsertInlineNote(card, lookupNote(cache, cardId, code));
       }
     }
 
+    /**
+     * Note text for a card from an already loaded cache ("" when none).
+     * @param {Record<string, string>} cache
+     * @param {Element} cardEl
+     * @returns {string}
+     */
+    function noteForCard(cache, cardEl) {
+      const btn = cardEl.querySelector(NOTE_BTN_SELECTOR);
+      const code = courseCodeFromNotesAria(btn?.getAttribute("aria-label") || "");
+      const cardId = window.MDE.getCardId(cardEl);
+      if (!code && !cardId) return "";
+
+      return lookupNote(cache, cardId, code);
+    }
+
+    // Read-only access for other features (export, ...)
+    window.MDE.notes = {
+      /**
+       * Cached note text for a card ("" when none).
+       * @param {Element} cardEl
+       * @returns {Promise<string>}
+       */
+      async getNoteForCard(cardEl) {
+        return noteForCard(await loadNotesCache(), cardEl);
+      },
+
+      /**
+       * Reads the cache once for a pass over many cards.
+       * @returns {Promise<(cardEl: Element) => string>} note lookup, as getNoteForCard
+       */
+      async readNotes() {
+        const cache = await loadNotesCache();
+        return (cardEl) => noteForCard(cache, cardEl);
+      },
+    };
+
     /***********************
      * Capture notes from the dialog (when user opens/edits it)
      ***********************/
 
-    let lastClickedCourse = null;
+    // { cardId, code } of the card whose note dialog we opened; cleared once
+    // that dialog closes so a later dialog can't write to this card
+    let lastClickedCard = null;
+    let noteDialogOpen = false;
 
-    // Track which course's note dialog we opened (by clicking its note button)
-    document.addEventListener("click", (e) => {
+    // Track which card's note dialog we opened (by clicking its note button)
+    function trackNoteButtonClick(e) {
       const btn = e.target?.closest?.(NOTE_BTN_SELECTOR);
       if (!btn) return;
 
       const code = courseCodeFromNotesAria(btn.getAttribute("aria-label") || "");
-      if (code) lastClickedCourse = code;
-    });
+      const card = btn.closest("div[draggable]");
+      const cardId = card ? window.MDE.getCardId(card) : null;
+
+      if (code) lastClickedCard = { cardId, code };
+    }
+
+    /**
+     * Forgets the clicked card once its note dialog has opened and closed.
+     * @returns {boolean} whether the note dialog is open
+     */
+    function trackNoteDialog() {
+      const open = Boolean(findOpenNoteDialog());
+      if (noteDialogOpen && !open) lastClickedCard = null;
+      noteDialogOpen = open && Boolean(lastClickedCard);
+      return open;
+    }
+
+    document.addEventListener("click", trackNoteButtonClick);
 
     /**
-     * If a note dialog is open, read its text and store it for lastClickedCourse.
+     * If a note dialog is open, read its text and store it for lastClickedCard
+     * (under its card id, or its course code if the card has no id).
      * Runs on a debounce for simplicity.
      */
     async function syncFromOpenDialogIfAny() {
       if (!notesEnabled) return;
-      if (!lastClickedCourse) return;
+      if (!lastClickedCard) return;
 
       const dialog = findOpenNoteDialog();
       if (!dialog) return;
 
       const text = readNoteTextFromDialog(dialog);
       const cache = await loadNotesCache();
+      const { cardId, code } = lastClickedCard;
+      const key = cardId || code;
 
-      if (text) cache[lastClickedCourse] = text;
-      else delete cache[lastClickedCourse];
+      if (text) cache[key] = text;
+      // An explicit "" keeps a shared course-code note from showing on this card
+      else if (cardId && code in cache) cache[key] = "";
+      else delete cache[key];
 
       await saveNotesCache(cache);
       await renderNotesFromCache();
@@ -227,10 +440,44 @@ window.MDE.registerFeature({
      * Start
      ***********************/
 
-    await initNotesEnabledState();
-    await renderNotesFromCache();
+    await migrateNotesCache();
+
+    loadPlanNotes().then(renderNotesFromCache);
+
+    // Notes are read through the site's per-card "Notes" button
+    window.MDE.diagnostics.addHealthCheck({
+      id: "note-buttons",
+      label: "Note buttons matched",
+      run() {
+        const cards = window.MDE.planner.getCards();
+        if (!cards.length) return { ok: null, detail: "no cards" };
+
+        const count = cards.filter((c) => c.el.querySelector(NOTE_BTN_SELECTOR)).length;
+        return { ok: count > 0, detail: `${count} of ${cards.length} cards` };
+      },
+    });
 
-    const obs = new MutationObserver(scheduleTick);
-    obs.observe(document.body, { childList: true, subtree: true });
+    // Re-render when cards change or lose their note box; any change may be
+    // the note dialog opening or being edited
+    const unsubscribe = [
+      window.MDE.planner.on("change", scheduleTick),
+      window.MDE.planner.on("nodes-changed", ({ nodes }) => {
+        if (nodes.some((n) => n.closest("#term-container"))) scheduleTick();
+      }),
+      window.MDE.planner.on("dom-changed", () => {
+        if (trackNoteDialog()) scheduleTick();
+      }),
+    ];
+
+    return {
+      enable: () => setNotesEnabled(true),
+      disable: () => setNotesEnabled(false),
+      destroy() {
+        unsubscribe.forEach((off) => off());
+        if (timer) clearTimeout(timer);
+        document.removeEventListener("click", trackNoteButtonClick);
+        setNotesEnabled(false);
+      },
+    };
   },
 });
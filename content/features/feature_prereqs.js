@@ -1,463 +1,481 @@
 /**
  * Feature: Prerequisite warnings
- * - Fetches class history (via /users/myself + /audit)
- * - Fetches prereqs for scheduled courses (via /course-link/term)
+ * - Asks the background service worker for class history (audits merged across
+ *   all degrees) and for prereqs/offerings of scheduled courses (course-link/term)
  * - Adds a "!" badge to any course card whose prereqs are missing/out of order
- * - Toggle state is read on page load and updated live from the popup
+ *   (completed courses only count with a passing grade; in-progress ones are tentative)
+ * - Adds a second badge when a course has no sections in the term it is placed in
+ * - Turned on and off by the registry (settingKey); the registry also passes
+ *   in the minimum grade (settings), live from the popup
+ * Credit totals are their own feature (feature_credits.js).
  */
 window.MDE.registerFeature({
   id: "prereqs",
+  label: "Show missing prerequisite warnings",
+  settingKey: "mdePrereqsEnabled",
+  settings: { mdeMinGrade: "C-" },
 
-  // init is async so we can read storage + fetch history/prereqs.
+  // init is async so we can read storage + request history/prereqs.
   async init() {
     /***********************
      * Config + Toggle State
      ***********************/
 
-    const COURSE_CODE_REGEX = /^[A-Z]{2,4}\s?\d{3}[A-Za-z]?$/;
     const BADGE_CLASS = "mde-prereq-badge";
+    const OFFERED_BADGE_CLASS = "mde-offered-badge";
 
-    let prereqsEnabled = true;
-
-    const HISTORY_KEY = "mdeHistoryCourses_v2";
-    const HISTORY_META_KEY = "mdeHistoryMeta_v2"; // { studentId, savedAt }
-    const PREREQ_KEY = "mdePrereqCache_v5";
-
-    const HISTORY_TTL_MS = 24 * 60 * 60 * 1000;
+    // Off until the registry calls enable()
+    let prereqsEnabled = false;
+    let defaultMinGrade = "C-";
 
     function setPrereqsEnabled(enabled) {
       prereqsEnabled = Boolean(enabled);
 
       if (!prereqsEnabled) {
         document.querySelectorAll(`.${BADGE_CLASS}`).forEach((el) => el.remove());
+        hidePopover();
+        document.querySelectorAll(`.${OFFERED_BADGE_CLASS}`).forEach((el) => el.remove());
+        if (retryTimer) clearTimeout(retryTimer);
+        retryTimer = null;
         return;
       }
 
+      // Cache changes aren't delivered while off; ask the service worker again
+      historyStale = true;
+      historyRetryAt = 0;
+      prereqCache = new Map();
+      offeringsCache = new Map();
       scheduleTick();
     }
 
-    async function initPrereqsEnabledState() {
-      const { mdePrereqsEnabled = true } = await chrome.storage.sync.get({
-        mdePrereqsEnabled: true,
-      });
-      setPrereqsEnabled(mdePrereqsEnabled);
+    function applySettings({ mdeMinGrade }) {
+      defaultMinGrade = String(mdeMinGrade || "");
+      scheduleTick();
     }
 
-    chrome.runtime.onMessage.addListener((msg) => {
-      if (msg?.type === "MDE_SET_PREREQS_ENABLED") {
-        setPrereqsEnabled(msg.enabled);
-      }
-    });
-
-    /***********************
-     * Prereq grouping
-     ***********************/
-
-    function buildPrereqGroups(prereqObjs) {
-      const groups = [];
-      let current = [];
-
-      for (const p of prereqObjs || []) {
-        const code = normalizeCourseCode(
-          `${p.subjectCodePrerequisite} ${p.courseNumberPrerequisite}`
-        );
-
-        const startsGroup = (p.leftParenthesis || "").includes("(");
-        const isAnd = p.connector === "A";
-
-        if ((startsGroup || isAnd) && current.length) {
-          groups.push(current);
-          current = [];
+    function onMessage(msg) {
+      // The service worker refreshed a cache (e.g. new degree override)
+      if (msg?.type === "MDE_CACHE_CHANGED") {
+        if (msg.cache === "history") {
+          historyStale = true;
+          historyRetryAt = 0;
         }
 
-        current.push(code);
-
-        const endsGroup = (p.rightParenthesis || "").includes(")");
-        if (endsGroup && current.length) {
-          groups.push(current);
-          current = [];
+        // Ask the service worker again: it may have refetched or expired entries
+        if (msg.cache === "courseInfo") {
+          prereqCache = new Map();
+          offeringsCache = new Map();
         }
+
+        scheduleTick();
       }
 
-      if (current.length) groups.push(current);
-      return groups.map((g) => Array.from(new Set(g)));
+      // Keyboard shortcut (manifest "commands")
+      if (msg?.type === "MDE_COMMAND" && msg.command === "next-warning") {
+        jumpToNextWarning();
+      }
     }
 
     /***********************
      * Small utilities
      ***********************/
 
-    function normalizeCourseCode(raw) {
-      const s = (raw || "").trim().replace(/\s+/g, " ");
-      const m = s.match(/^([A-Z]{2,4})\s?(\d{3}[A-Za-z]?)$/);
-      return m ? `${m[1]} ${m[2].toUpperCase()}` : s;
-    }
-
-    function splitCourseCode(code) {
-      const m = normalizeCourseCode(code).match(/^([A-Z]{2,4})\s(\d{3}[A-Za-z]?)$/);
-      return m ? { discipline: m[1], number: m[2] } : null;
-    }
-
     function ensureCardAnchor(cardEl) {
       if (getComputedStyle(cardEl).position === "static") cardEl.style.position = "relative";
     }
 
-    function setBadge(cardEl, tooltip) {
+    function setBadge(cardEl, tooltip, className, symbol) {
       ensureCardAnchor(cardEl);
 
-      let badge = cardEl.querySelector(`.${BADGE_CLASS}`);
+      let badge = cardEl.querySelector(`.${className}`);
       if (!badge) {
         badge = document.createElement("div");
-        badge.className = BADGE_CLASS;
-        badge.textContent = "!";
+        badge.className = className;
+        badge.dataset.mdeInjected = "1";
+        badge.textContent = symbol;
         cardEl.appendChild(badge);
       }
 
       badge.setAttribute("data-tooltip", tooltip);
+      badge.setAttribute("aria-label", tooltip);
     }
 
-    function clearBadge(cardEl) {
-      const badge = cardEl.querySelector(`.${BADGE_CLASS}`);
+    function clearBadge(cardEl, className = BADGE_CLASS) {
+      const badge = cardEl.querySelector(`.${className}`);
       if (badge) badge.remove();
     }
 
-    function nowMs() {
-      return Date.now();
-    }
-
     /***********************
-     * Term mapping
+     * Requirement popover
      ***********************/
 
-    function termLabelToCode(season, year) {
-      const suffix = { Summer: "00", Fall: "01", Winter: "02", Spring: "03" }[season];
-      if (!suffix) return null;
-
-      const y = Number(year);
-      const codeYear = season === "Summer" || season === "Fall" ? y + 1 : y;
-      return `${codeYear}${suffix}`;
-    }
-
-    /***********************
-     * Collect scheduled courses
-     ***********************/
+    const POPOVER_CLASS = "mde-prereq-popover";
+    const OPTION_STATUS_TEXT = {
+      history: (opt) => (opt.grade ? `Completed (${opt.grade})` : "Completed"),
+      tentative: (opt) =>
+        opt.historyStatus === "preregistered" ? "Preregistered (tentative)" : "In progress (tentative)",
+      earlier: (opt) => `Planned ${opt.term}`,
+      "same-term": (opt) => `Planned same term (${opt.term})`,
+      late: (opt) => `Planned too late (${opt.term})`,
+      "low-grade": (opt) => `Grade ${opt.grade || "?"} below ${opt.minGrade || "passing"}`,
+      missing: () => "Missing",
+    };
+
+    const GROUP_MARKS = { met: "\u2713", tentative: "?", unmet: "\u2717" };
+
+    // Badge element -> latest evaluation, read when the popover opens
+    const badgeReports = new WeakMap();
+    let popoverEl = null;
+
+    /**
+     * One-line summary of a report, used as the badge's accessible label.
+     * @param {object} report
+     * @returns {string}
+     */
+    function summarizeReport(report) {
+      const describe = (g) => {
+        const kind = g.corequisite ? "corequisite" : "prerequisite";
+        return `${kind} ${g.options.map((o) => o.code).join(" or ")}`;
+      };
 
-    function collectScheduled() {
-      const termContainer = document.querySelector("#term-container");
-      if (!termContainer) {
-        return { items: [], courseToIndex: new Map(), termIndexToLabel: new Map() };
+      const unmet = report.groups.filter((g) => g.state === "unmet").map(describe);
+      if (unmet.length && report.historyMissing) {
+        return `${report.courseCode}: course history not loaded, can't check ${unmet.join("; ")}`;
       }
+      if (unmet.length) return `${report.courseCode}: missing ${unmet.join("; ")}`;
 
-      const columns = Array.from(termContainer.children);
+      const tentative = report.groups.filter((g) => g.state === "tentative").map(describe);
+      return `${report.courseCode}: still in progress ${tentative.join("; ")}`;
+    }
 
-      const items = [];
-      const courseToIndex = new Map();
-      const termIndexToLabel = new Map();
+    function setPrereqBadge(cardEl, report) {
+      ensureCardAnchor(cardEl);
 
-      for (let termIndex = 0; termIndex < columns.length; termIndex++) {
-        const col = columns[termIndex];
-
-        const termEl = Array.from(col.querySelectorAll("h1,h2,h3,h4,p,span,div")).find((el) =>
-          /\b(20\d{2})\s+(Fall|Winter|Spring|Summer)\b|\b(Fall|Winter|Spring|Summer)\s+(20\d{2})\b/.test(
-            (el.textContent || "").trim()
-          )
-        );
-
-        if (!termEl) continue;
-
-        const txt = (termEl.textContent || "").trim();
-        let m = txt.match(/\b(20\d{2})\s+(Fall|Winter|Spring|Summer)\b/);
-        if (!m) m = txt.match(/\b(Fall|Winter|Spring|Summer)\s+(20\d{2})\b/);
-        if (!m) continue;
-
-        let year, season;
-        if (/^\d{4}$/.test(m[1])) {
-          year = m[1];
-          season = m[2];
-        } else {
-          season = m[1];
-          year = m[2];
-        }
+      let badge = cardEl.querySelector(`.${BADGE_CLASS}`);
+      if (!badge) {
+        badge = document.createElement("div");
+        badge.className = BADGE_CLASS;
+        badge.dataset.mdeInjected = "1";
+        badge.textContent = "!";
+        badge.tabIndex = 0;
+        badge.setAttribute("role", "button");
 
-        const termLabel = `${season} ${year}`;
-        const termCode = termLabelToCode(season, year);
-        if (!termCode) continue;
+        badge.addEventListener("mouseenter", () => showPopover(badge));
+        badge.addEventListener("focus", () => showPopover(badge));
+        badge.addEventListener("mouseleave", hidePopover);
+        badge.addEventListener("blur", hidePopover);
 
-        termIndexToLabel.set(termIndex, termLabel);
+        cardEl.appendChild(badge);
+      }
 
-        const courseEls = Array.from(col.querySelectorAll('p[aria-label]')).filter((el) =>
-          COURSE_CODE_REGEX.test((el.textContent || "").trim())
-        );
+      // Only in-progress prereqs outstanding: softer "?" badge
+      const tentative = report.tentative;
+      badge.classList.toggle(`${BADGE_CLASS}--tentative`, tentative);
+      const symbol = tentative ? "?" : "!";
+      if (badge.textContent !== symbol) badge.textContent = symbol;
 
-        for (const el of courseEls) {
-          const courseCode = normalizeCourseCode(el.textContent);
-          const cardEl = el.closest('div[draggable="true"]');
-          if (!cardEl) continue;
+      badgeReports.set(badge, report);
+      badge.setAttribute("aria-label", summarizeReport(report));
+    }
 
-          items.push({ courseCode, termIndex, termCode, cardEl });
-          courseToIndex.set(courseCode, termIndex);
-        }
+    /**
+     * Builds the requirement tree: an AND list of groups, each an OR list of options.
+     * @param {object} report
+     * @returns {DocumentFragment}
+     */
+    function renderReport(report) {
+      const frag = document.createDocumentFragment();
+
+      const title = document.createElement("div");
+      title.className = `${POPOVER_CLASS}-title`;
+      title.textContent = `${report.courseCode} \u00b7 ${report.termLabel}`;
+      frag.appendChild(title);
+
+      if (report.historyMissing) {
+        const note = document.createElement("div");
+        note.className = `${POPOVER_CLASS}-lead`;
+        note.textContent = "Course history couldn't be loaded yet; completed courses aren't counted.";
+        frag.appendChild(note);
       }
 
-      return { items, courseToIndex, termIndexToLabel };
-    }
+      if (report.groups.length > 1) {
+        const lead = document.createElement("div");
+        lead.className = `${POPOVER_CLASS}-lead`;
+        lead.textContent = "Requires all of:";
+        frag.appendChild(lead);
+      }
 
-    /***********************
-     * MyDegrees API: user + audit -> history set
-     ***********************/
+      const tree = document.createElement("ul");
+      tree.className = "mde-req-tree";
 
-    async function fetchMyStudentId() {
-      const res = await fetch("/dashboard/api/users/myself", { credentials: "include" });
-      if (!res.ok) throw new Error(`users/myself failed: ${res.status}`);
-      const data = await res.json();
-      return String(data?.id || "").trim() || null;
-    }
+      for (const group of report.groups) {
+        const groupEl = document.createElement("li");
+        groupEl.className = `mde-req-group mde-req-group--${group.state}`;
 
-    function buildAuditUrl(studentId) {
-      const u = new URL("/dashboard/api/audit", location.origin);
-      u.searchParams.set("studentId", studentId);
-      u.searchParams.set("school", "01");
-      u.searchParams.set("degree", "BS");
-      u.searchParams.set("is-process-new", "true");
-      u.searchParams.set("audit-type", "NV");
-      u.searchParams.set("auditId", "");
-      u.searchParams.set("include-inprogress", "true");
-      u.searchParams.set("include-preregistered", "true");
-      u.searchParams.set("aid-term", "undefined");
-      return u.toString();
-    }
+        const label = document.createElement("div");
+        label.className = "mde-req-group-label";
+        const kind = group.corequisite ? "Corequisite" : "Prerequisite";
+        label.textContent = `${GROUP_MARKS[group.state]} ${kind}${
+          group.options.length > 1 ? " \u2014 one of:" : ""
+        }`;
+        groupEl.appendChild(label);
 
-    async function fetchAuditJson(studentId) {
-      const url = buildAuditUrl(studentId);
-      const res = await fetch(url, { credentials: "include" });
-      if (!res.ok) throw new Error(`audit failed: ${res.status}`);
-      return res.json();
-    }
+        const options = document.createElement("ul");
+        for (const opt of group.options) {
+          const optEl = document.createElement("li");
+          optEl.className = `mde-req-opt mde-req-opt--${opt.status}`;
 
-    function extractHistoryFromAudit(auditData) {
-      const codes = new Set();
+          const code = document.createElement("span");
+          code.className = "mde-req-code";
+          code.textContent = opt.code;
 
-      function walk(v) {
-        if (!v) return;
-        if (Array.isArray(v)) return v.forEach(walk);
-        if (typeof v !== "object") return;
+          const status = document.createElement("span");
+          status.className = "mde-req-status";
+          status.textContent = OPTION_STATUS_TEXT[opt.status](opt);
 
-        const d = v.discipline;
-        const n = v.number;
+          optEl.append(code, status);
+          options.appendChild(optEl);
+        }
 
-        if (typeof d === "string" && typeof n === "string") {
-          const code = normalizeCourseCode(`${d} ${n}`);
-          const looksLikeCourse = /^[A-Z]{2,4}\s\d{3}[A-Z]?$/i.test(code);
+        groupEl.appendChild(options);
+        tree.appendChild(groupEl);
+      }
 
-          const isCourseRecord =
-            v.recordType === "C" ||
-            typeof v.letterGrade === "string" ||
-            v.inProgress === "Y" ||
-            v.preregistered === "Y";
+      frag.appendChild(tree);
+      return frag;
+    }
 
-          if (looksLikeCourse && isCourseRecord) {
-            codes.add(code.toUpperCase());
-          }
-        }
+    function showPopover(badge) {
+      const report = badgeReports.get(badge);
+      if (!report) return;
 
-        for (const k in v) walk(v[k]);
+      if (!popoverEl) {
+        popoverEl = document.createElement("div");
+        popoverEl.className = POPOVER_CLASS;
+        popoverEl.setAttribute("role", "tooltip");
+        popoverEl.dataset.mdeInjected = "1";
+        document.body.appendChild(popoverEl);
       }
 
-      walk(auditData);
-      return new Set(Array.from(codes).map(normalizeCourseCode));
-    }
+      popoverEl.replaceChildren(renderReport(report));
+      popoverEl.hidden = false;
 
-    async function loadHistoryCache() {
-      const { [HISTORY_KEY]: savedList, [HISTORY_META_KEY]: meta } = await chrome.storage.local.get([
-        HISTORY_KEY,
-        HISTORY_META_KEY,
-      ]);
+      // Prefer the left of the badge (cards sit in narrow columns); flip if it won't fit
+      const rect = badge.getBoundingClientRect();
+      const width = popoverEl.offsetWidth;
+      const height = popoverEl.offsetHeight;
+      const margin = 8;
 
-      const listOk = Array.isArray(savedList) && savedList.length > 0;
-      const metaOk =
-        meta &&
-        typeof meta === "object" &&
-        typeof meta.studentId === "string" &&
-        typeof meta.savedAt === "number";
+      let left = rect.left - width - margin;
+      if (left < margin) left = Math.min(rect.right + margin, window.innerWidth - width - margin);
 
-      return {
-        set: listOk ? new Set(savedList) : new Set(),
-        meta: metaOk ? meta : null,
-      };
+      let top = rect.top + rect.height / 2 - height / 2;
+      top = Math.max(margin, Math.min(top, window.innerHeight - height - margin));
+
+      popoverEl.style.left = `${Math.max(margin, left)}px`;
+      popoverEl.style.top = `${top}px`;
     }
 
-    async function saveHistoryCache(studentId, set) {
-      await chrome.storage.local.set({
-        [HISTORY_KEY]: Array.from(set),
-        [HISTORY_META_KEY]: { studentId, savedAt: nowMs() },
-      });
+    function hidePopover() {
+      if (popoverEl) popoverEl.hidden = true;
     }
 
     /***********************
-     * Prereq API cache
+     * Collect scheduled courses
      ***********************/
 
-    let prereqCache = new Map();
-
-    async function loadPrereqCache() {
-      const saved = (await chrome.storage.local.get(PREREQ_KEY))[PREREQ_KEY];
-      if (!saved || typeof saved !== "object") return;
-
-      const m = new Map();
-
-      for (const [course, value] of Object.entries(saved)) {
-        if (Array.isArray(value) && Array.isArray(value[0])) {
-          m.set(course, value);
-          continue;
-        }
+    /**
+     * Scheduled courses from the shared planner model (no DOM scan).
+     */
+    function collectScheduled() {
+      const items = [];
+      const courseToIndex = new Map();
+      const termIndexToLabel = new Map();
 
-        if (Array.isArray(value) && typeof value[0] === "string") {
-          m.set(course, value.map((code) => [code]));
-          continue;
-        }
+      for (const { termIndex, label } of window.MDE.planner.getTerms()) {
+        termIndexToLabel.set(termIndex, label);
       }
 
-      prereqCache = m;
-    }
-
-    async function savePrereqCache() {
-      await chrome.storage.local.set({
-        [PREREQ_KEY]: Object.fromEntries(prereqCache.entries()),
-      });
-    }
-
-    async function fetchCourseInfoForTerm(termCode, courses) {
-      const res = await fetch("/dashboard/api/course-link/term", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        credentials: "include",
-        body: JSON.stringify({ term: termCode, courses }),
-      });
-
-      if (!res.ok) throw new Error(`course-link/term failed: ${res.status}`);
+      for (const card of window.MDE.planner.getCards()) {
+        if (!card.code) continue;
 
-      const data = await res.json();
-      const courseObjs = data?.courseInformation?.courses || [];
-
-      for (const obj of courseObjs) {
-        const code = normalizeCourseCode(`${obj.subjectCode} ${obj.courseNumber}`);
-        const groups = buildPrereqGroups(obj.prerequisites);
-        prereqCache.set(code, groups);
+        const credits = window.MDE.readCardCredits(card.el, card.code);
+        items.push({ courseCode: card.code, termIndex: card.termIndex, termCode: card.termCode, cardEl: card.el, credits });
+        courseToIndex.set(card.code, card.termIndex);
       }
+
+      return { items, courseToIndex, termIndexToLabel };
     }
 
     /***********************
      * Main logic
      ***********************/
 
-    let historySet = new Set();
+    // Local copies of the service worker's caches for the courses on this page
+    let historyMap = new Map();
+    let prereqCache = new Map();
+    let offeringsCache = new Map();
+
+    // After a failed history load, wait this long before asking again
+    const HISTORY_RETRY_MS = 60 * 1000;
+
+    let historyLoaded = false;
+    let historyStale = true; // load before the next pass
+    let historyRetryAt = 0; // epoch ms; no reload before it
+    let retryTimer = null;
     let running = false;
     let timer = null;
-    let initialized = false;
 
     async function ensureHistorySet() {
-      const cached = await loadHistoryCache();
-
-      if (cached.meta && cached.set.size > 0) {
-        const age = nowMs() - cached.meta.savedAt;
-        if (age < HISTORY_TTL_MS) {
-          historySet = cached.set;
-          return;
-        }
-      }
-
-      const studentId = await fetchMyStudentId();
-      if (!studentId) return;
+      const studentId = await window.MDE.getStudentId();
+      const { history } = await window.MDE.requestBackground({ type: "MDE_GET_HISTORY", studentId });
+      historyMap = new Map(Object.entries(history || {}));
+    }
 
-      const audit = await fetchAuditJson(studentId);
-      const set = extractHistoryFromAudit(audit);
+    /**
+     * Reloads history when it is stale. A failed load keeps the last known
+     * history (before the first one: none, and warnings show as tentative)
+     * and is retried after HISTORY_RETRY_MS rather than on every change.
+     */
+    async function refreshHistoryIfDue() {
+      if (!historyStale || Date.now() < historyRetryAt) return;
 
-      historySet = set;
-      await saveHistoryCache(studentId, set);
+      historyStale = false;
+      try {
+        await ensureHistorySet();
+        historyLoaded = true;
+        historyRetryAt = 0;
+      } catch (e) {
+        historyStale = true;
+        historyRetryAt = Date.now() + HISTORY_RETRY_MS;
+        window.MDE.diagnostics.log("error", "feature:prereqs", e);
+
+        if (retryTimer) clearTimeout(retryTimer);
+        retryTimer = setTimeout(() => {
+          retryTimer = null;
+          scheduleTick();
+        }, HISTORY_RETRY_MS);
+      }
     }
 
+    /**
+     * Copies prereqs/offerings for the scheduled courses from the service worker,
+     * which fetches whatever it doesn't have cached yet.
+     * @param {Array<{ courseCode: string, termCode: string }>} items
+     */
     async function ensurePrereqsForScheduled(items) {
-      const termToParts = new Map();
+      const terms = {};
 
       for (const it of items) {
-        if (prereqCache.has(it.courseCode)) continue;
-
-        const parts = splitCourseCode(it.courseCode);
-        if (!parts) continue;
+        const offerings = offeringsCache.get(it.termCode);
+        const hasOffering = Boolean(offerings) && it.courseCode in offerings.courses;
+        if (prereqCache.has(it.courseCode) && hasOffering) continue;
 
-        if (!termToParts.has(it.termCode)) termToParts.set(it.termCode, []);
-        termToParts.get(it.termCode).push(parts);
+        (terms[it.termCode] ||= []).push(it.courseCode);
       }
 
-      for (const [termCode, list] of termToParts.entries()) {
-        const seen = new Set();
-        const unique = [];
-
-        for (const c of list) {
-          const k = `${c.discipline} ${c.number}`;
-          if (!seen.has(k)) {
-            seen.add(k);
-            unique.push(c);
-          }
-        }
-
-        await fetchCourseInfoForTerm(termCode, unique);
-      }
+      if (!Object.keys(terms).length) return;
 
-      if (termToParts.size) await savePrereqCache();
+      const { prereqs, offerings } = await window.MDE.requestBackground({ type: "MDE_GET_COURSE_INFO", terms });
+      for (const [code, groups] of Object.entries(prereqs || {})) prereqCache.set(code, groups);
+      for (const [termCode, entry] of Object.entries(offerings || {})) offeringsCache.set(termCode, entry);
     }
 
-    function applyWarnings(items, courseToIndex, termIndexToLabel) {
+    /**
+     * Badges cards placed in a term whose published schedule has no sections for them.
+     * @param {Array<{ courseCode: string, termIndex: number, termCode: string, cardEl: Element }>} items
+     * @param {Map<number, string>} termIndexToLabel
+     */
+    function applyOfferedWarnings(items, termIndexToLabel) {
       for (const it of items) {
-        const groups = prereqCache.get(it.courseCode) || [];
-
-        const missingGroups = [];
-        const laterMentions = [];
+        const entry = offeringsCache.get(it.termCode);
+        const notOffered = Boolean(entry?.published) && entry.courses[it.courseCode] === false;
 
-        for (const group of groups) {
-          let groupSatisfied = false;
-
-          for (const option of group) {
-            const optIdx = courseToIndex.get(option);
-
-            if (optIdx != null && optIdx > it.termIndex) {
-              laterMentions.push({
-                code: option,
-                term: termIndexToLabel.get(optIdx) || `Term ${optIdx + 1}`,
-              });
-              continue;
-            }
-
-            const satisfied = historySet.has(option) || (optIdx != null && optIdx < it.termIndex);
-            if (satisfied) {
-              groupSatisfied = true;
-              break;
-            }
-          }
-
-          if (!groupSatisfied) missingGroups.push(group);
-        }
-
-        if (missingGroups.length === 0 && laterMentions.length === 0) {
-          clearBadge(it.cardEl);
+        if (!notOffered) {
+          clearBadge(it.cardEl, OFFERED_BADGE_CLASS);
           continue;
         }
 
-        const missingSet = new Set();
+        const termLabel = termIndexToLabel.get(it.termIndex) || `Term ${it.termIndex + 1}`;
+        setBadge(it.cardEl, `Not offered in ${termLabel}`, OFFERED_BADGE_CLASS, "\u2298");
+      }
+    }
+
+    /**
+     * Works out the status of every prerequisite option for one scheduled course.
+     * Option status is one of:
+     *  - "history"   completed with at least the minimum grade
+     *  - "tentative" in progress or preregistered per the audit
+     *  - "earlier"   planned in an earlier term
+     *  - "same-term" planned in the same term, allowed for corequisites
+     *  - "late"      planned, but in the same or a later term
+     *  - "low-grade" completed, but below the minimum grade
+     *  - "missing"   neither taken nor planned
+     * A group is "met", "tentative" (only in-progress options) or "unmet".
+     * @returns {{ courseCode: string, termLabel: string, groups: object[], ok: boolean, tentative: boolean }}
+     */
+    function evaluatePrereqs(it, courseToIndex, termIndexToLabel) {
+      const termLabelOf = (idx) => termIndexToLabel.get(idx) || `Term ${idx + 1}`;
+      const groups = (prereqCache.get(it.courseCode) || []).map((group) => {
+        const options = group.map((option) => {
+          const optIdx = courseToIndex.get(option.code);
+          const rec = historyMap.get(option.code);
+          const minGrade = option.minGrade || defaultMinGrade || null;
+          const completed = rec?.status === "complete";
+
+          let status = "missing";
+          if (completed && window.MDE.grades.meetsMinimum(rec.grade, minGrade)) status = "history";
+          else if (rec && !completed) status = "tentative";
+          else if (optIdx != null && optIdx < it.termIndex) status = "earlier";
+          else if (optIdx != null && optIdx === it.termIndex && option.concurrent) status = "same-term";
+          else if (optIdx != null) status = "late";
+          else if (completed) status = "low-grade";
+
+          return {
+            code: option.code,
+            concurrent: option.concurrent,
+            status,
+            term: optIdx != null ? termLabelOf(optIdx) : null,
+            grade: rec?.grade || "",
+            historyStatus: rec?.status || null,
+            minGrade,
+          };
+        });
+
+        let state = "unmet";
+        if (options.some((opt) => ["history", "earlier", "same-term"].includes(opt.status))) state = "met";
+        else if (options.some((opt) => opt.status === "tentative")) state = "tentative";
+
+        return {
+          options,
+          // A group is a corequisite group when every option may be taken concurrently
+          corequisite: options.length > 0 && options.every((opt) => opt.concurrent),
+          state,
+          satisfied: state === "met",
+        };
+      });
 
-        for (const group of missingGroups) {
-          for (const code of group) missingSet.add(code);
-        }
+      return {
+        courseCode: it.courseCode,
+        termLabel: termLabelOf(it.termIndex),
+        groups,
+        ok: groups.every((g) => g.state === "met"),
+        // Without history every completed course looks missing: don't claim it is
+        tentative: !historyLoaded || groups.every((g) => g.state !== "unmet"),
+        historyMissing: !historyLoaded,
+      };
+    }
 
-        for (const x of laterMentions) missingSet.add(x.code);
+    function applyWarnings(items, courseToIndex, termIndexToLabel) {
+      for (const it of items) {
+        const report = evaluatePrereqs(it, courseToIndex, termIndexToLabel);
 
-        if (missingSet.size === 0) {
+        if (report.ok) {
           clearBadge(it.cardEl);
           continue;
         }
 
-        const tooltipText = "Missing Prerequisite: " + Array.from(missingSet).join(", ");
-        setBadge(it.cardEl, tooltipText);
+        setPrereqBadge(it.cardEl, report);
       }
     }
 
@@ -468,21 +486,17 @@ window.MDE.registerFeature({
       running = true;
 
       try {
-        if (!initialized) {
-          initialized = true;
-          await loadPrereqCache();
-          await ensureHistorySet();
-        }
+        await refreshHistoryIfDue();
 
         const { items, courseToIndex, termIndexToLabel } = collectScheduled();
         if (items.length === 0) return;
 
         await ensurePrereqsForScheduled(items);
         applyWarnings(items, courseToIndex, termIndexToLabel);
+        applyOfferedWarnings(items, termIndexToLabel);
       } catch (e) {
-        // Fail quietly so the site remains usable.
-        // For debugging:
-        // console.log("[MDE prereqs] error", e);
+        // Fail quietly so the site remains usable; the popup's diagnostics show it
+        window.MDE.diagnostics.log("error", "feature:prereqs", e);
       } finally {
         running = false;
       }
@@ -495,13 +509,80 @@ window.MDE.registerFeature({
     }
 
     /***********************
-     * Start feature
+     * Read-only API for other features (graph view, export, ...)
      ***********************/
 
-    await initPrereqsEnabledState();
-    tick();
+    window.MDE.prereqs = {
+      /**
+       * Fresh scan of the plan with each course's prereq evaluation, built from
+       * the data already loaded (never fetches).
+       * @returns {{ enabled: boolean, terms: object[], items: object[] }}
+       */
+      getPlanState() {
+        const { items, courseToIndex, termIndexToLabel } = collectScheduled();
+
+        return {
+          enabled: prereqsEnabled,
+          terms: Array.from(termIndexToLabel.entries()).map(([termIndex, label]) => ({
+            termIndex,
+            label,
+          })),
+          items: items.map((it) => ({
+            ...it,
+            termLabel: termIndexToLabel.get(it.termIndex) || `Term ${it.termIndex + 1}`,
+            report: evaluatePrereqs(it, courseToIndex, termIndexToLabel),
+          })),
+        };
+      },
+    };
+
+    /***********************
+     * Keyboard: next warning
+     ***********************/
+
+    let lastWarningCard = null;
+
+    /**
+     * Scrolls to the next card (in plan order) with a prereq or offering
+     * warning after the last one we jumped to, wrapping around.
+     */
+    function jumpToNextWarning() {
+      const cards = collectScheduled()
+        .items.map((it) => it.cardEl)
+        .filter((el) => el.querySelector(`.${BADGE_CLASS}, .${OFFERED_BADGE_CLASS}`));
+
+      if (!cards.length) {
+        window.MDE.toast("No courses with warnings.");
+        return;
+      }
+
+      const next = cards[(cards.indexOf(lastWarningCard) + 1) % cards.length];
+      lastWarningCard = next;
+      window.MDE.revealCard(next);
+    }
+
+    /***********************
+     * Start feature
+     ***********************/
 
-    const obs = new MutationObserver(scheduleTick);
-    obs.observe(document.body, { childList: true, subtree: true });
+    // Cards added, moved or removed, or re-rendered (lost badges)
+    const unsubscribe = [
+      window.MDE.planner.on("change", scheduleTick),
+      window.MDE.planner.on("nodes-changed", ({ nodes }) => {
+        if (nodes.some((n) => n.closest("#term-container"))) scheduleTick();
+      }),
+    ];
+
+    return {
+      applySettings,
+      onMessage,
+      enable: () => setPrereqsEnabled(true),
+      disable: () => setPrereqsEnabled(false),
+      destroy() {
+        unsubscribe.forEach((off) => off());
+        if (timer) clearTimeout(timer);
+        setPrereqsEnabled(false);
+      },
+    };
   },
 });
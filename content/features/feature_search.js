@@ -0,0 +1,283 @@
+/**
+ * Feature: search
+ * A search box in the planner toolbar that highlights matching cards and
+ * dims the rest. Plain words match the course code, subject, title and note
+ * text (all words must match); filters match card state:
+ *   is:warning  has a prerequisite or term-offering warning
+ *   is:locked   is locked
+ *   has:note    has a note
+ * Enter / Shift+Enter jump to the next / previous match, Escape clears.
+ * The "open-search" shortcut focuses the box.
+ */
+window.MDE.registerFeature({
+  id: "search",
+
+  init() {
+    /***********************
+     * Config
+     ***********************/
+
+    const WRAP_CLASS = "mde-search";
+    const MATCH_CLASS = "mde-search-match";
+    const DIM_CLASS = "mde-search-dim";
+    const CURRENT_CLASS = "mde-search-current";
+
+    const WARNING_SELECTOR = ".mde-prereq-badge, .mde-offered-badge";
+
+    const FILTERS = {
+      "is:warning": (card) => card.warning,
+      "is:locked": (card) => card.locked,
+      "has:note": (card) => Boolean(card.note),
+    };
+
+    let query = "";
+    let matches = [];
+    let current = -1;
+
+    /***********************
+     * Read cards
+     ***********************/
+
+    /**
+     * Everything searchable about each planner card (from the planner model).
+     * @returns {Promise<Array<{ el: Element, code: string, title: string, note: string, warning: boolean, locked: boolean }>>}
+     */
+    async function readCards() {
+      const noteFor = (await window.MDE.notes?.readNotes()) || (() => "");
+      const cards = [];
+
+      for (const { el, code } of window.MDE.planner.getCards()) {
+        if (!code) continue;
+
+        cards.push({
+          el,
+          code,
+          title: window.MDE.readCourseTitle(el),
+          note: noteFor(el),
+          warning: Boolean(el.querySelector(WARNING_SELECTOR)),
+          locked: el.classList.contains("mde-card-locked"),
+        });
+      }
+
+      return cards;
+    }
+
+    /***********************
+     * Matching
+     ***********************/
+
+    /**
+     * Splits the query into filters and lower-cased words.
+     * @param {string} q
+     * @returns {{ filters: Function[], words: string[] }}
+     */
+    function parseQuery(q) {
+      const filters = [];
+      const words = [];
+
+      for (const token of q.trim().toLowerCase().split(/\s+/).filter(Boolean)) {
+        if (FILTERS[token]) filters.push(FILTERS[token]);
+        else words.push(token);
+      }
+
+      return { filters, words };
+    }
+
+    function cardMatches(card, { filters, words }) {
+      if (!filters.every((f) => f(card))) return false;
+
+      // "cs161" and "cs 161" both find CS 161
+      const haystack = [card.code, card.code.replace(" ", ""), card.title, card.note].join(" ").toLowerCase();
+      return words.every((w) => haystack.includes(w));
+    }
+
+    /***********************
+     * Highlighting
+     ***********************/
+
+    function clearHighlights() {
+      document
+        .querySelectorAll(`.${MATCH_CLASS}, .${DIM_CLASS}, .${CURRENT_CLASS}`)
+        .forEach((el) => el.classList.remove(MATCH_CLASS, DIM_CLASS, CURRENT_CLASS));
+    }
+
+    function updateCount() {
+      const count = document.querySelector(`.${WRAP_CLASS} .mde-search-count`);
+      if (!count) return;
+
+      let text = "";
+      if (query.trim()) {
+        text = matches.length ? `${current + 1} of ${matches.length}` : "No matches";
+      }
+      if (count.textContent !== text) count.textContent = text;
+    }
+
+    let running = false;
+
+    /**
+     * Re-runs the search against the cards on the page, keeping the current
+     * match when it's still a match.
+     */
+    async function applySearch() {
+      if (running) return;
+      running = true;
+
+      try {
+        const parsed = parseQuery(query);
+
+        if (!parsed.filters.length && !parsed.words.length) {
+          matches = [];
+          current = -1;
+          clearHighlights();
+          updateCount();
+          return;
+        }
+
+        const cards = await readCards();
+        const previous = matches[current];
+
+        matches = [];
+        for (const card of cards) {
+          const hit = cardMatches(card, parsed);
+          card.el.classList.toggle(MATCH_CLASS, hit);
+          card.el.classList.toggle(DIM_CLASS, !hit);
+          if (hit) matches.push(card.el);
+        }
+
+        current = matches.length ? Math.max(0, matches.indexOf(previous)) : -1;
+        markCurrent(false);
+      } finally {
+        running = false;
+      }
+    }
+
+    /**
+     * Highlights the current match and optionally scrolls it into view.
+     * @param {boolean} scroll
+     */
+    function markCurrent(scroll) {
+      document.querySelectorAll(`.${CURRENT_CLASS}`).forEach((el) => el.classList.remove(CURRENT_CLASS));
+
+      const el = matches[current];
+      if (el) {
+        el.classList.add(CURRENT_CLASS);
+        if (scroll) el.scrollIntoView({ behavior: "smooth", block: "center", inline: "center" });
+      }
+
+      updateCount();
+    }
+
+    function step(delta) {
+      if (!matches.length) return;
+      current = (current + delta + matches.length) % matches.length;
+      markCurrent(true);
+    }
+
+    /***********************
+     * Search box
+     ***********************/
+
+    let inputTimer = null;
+
+    /**
+     * Adds the search box to the start of the planner toolbar.
+     */
+    function ensureSearchBox() {
+      const bar = window.MDE.ensureToolbar();
+      if (!bar || bar.querySelector(`.${WRAP_CLASS}`)) return;
+
+      const wrap = document.createElement("div");
+      wrap.className = WRAP_CLASS;
+
+      const input = document.createElement("input");
+      input.type = "search";
+      input.className = "mde-search-input";
+      input.placeholder = "Search plan (e.g. CS, is:warning, has:note)";
+      input.setAttribute("aria-label", "Search plan");
+      input.value = query;
+
+      const count = document.createElement("span");
+      count.className = "mde-search-count";
+      count.setAttribute("aria-live", "polite");
+
+      input.addEventListener("input", () => {
+        query = input.value;
+        if (inputTimer) clearTimeout(inputTimer);
+        inputTimer = setTimeout(async () => {
+          await applySearch();
+          markCurrent(true);
+        }, 150);
+      });
+
+      input.addEventListener("keydown", (e) => {
+        // Keep the planner's own shortcuts out of the search box
+        e.stopPropagation();
+
+        if (e.key === "Enter") {
+          e.preventDefault();
+          step(e.shiftKey ? -1 : 1);
+        } else if (e.key === "Escape") {
+          input.value = "";
+          query = "";
+          applySearch();
+        }
+      });
+
+      wrap.append(input, count);
+      bar.prepend(wrap);
+      updateCount();
+    }
+
+    /***********************
+     * Start
+     ***********************/
+
+    ensureSearchBox();
+
+    let timer = null;
+    function scheduleSearch() {
+      if (!query.trim()) return;
+      if (timer) clearTimeout(timer);
+      timer = setTimeout(applySearch, 300);
+    }
+
+    // Re-filter when cards come, go or move. Filters also depend on what other
+    // features add to cards (badges, lock class), which the planner model
+    // doesn't report, so a filtered search re-checks after any change.
+    const unsubscribe = [
+      window.MDE.planner.on("card-added", scheduleSearch),
+      window.MDE.planner.on("card-removed", scheduleSearch),
+      window.MDE.planner.on("card-moved", scheduleSearch),
+      window.MDE.planner.on("dom-changed", () => {
+        ensureSearchBox();
+        if (parseQuery(query).filters.length) scheduleSearch();
+      }),
+    ];
+
+    /**
+     * Keyboard shortcut (manifest "commands"): focus the search box.
+     */
+    function focusSearch() {
+      ensureSearchBox();
+      const input = document.querySelector(`.${WRAP_CLASS} .mde-search-input`);
+      if (!input) return;
+
+      input.scrollIntoView({ behavior: "smooth", block: "center" });
+      input.focus();
+      input.select();
+    }
+
+    return {
+      onMessage(msg) {
+        if (msg?.type === "MDE_COMMAND" && msg.command === "open-search") focusSearch();
+      },
+      destroy() {
+        unsubscribe.forEach((off) => off());
+        if (timer) clearTimeout(timer);
+        if (inputTimer) clearTimeout(inputTimer);
+        clearHighlights();
+        document.querySelectorAll(`.${WRAP_CLASS}`).forEach((el) => el.remove());
+      },
+    };
+  },
+});
@@ -0,0 +1,121 @@
+/**
+ * Feature: summary
+ * Answers the popup dashboard's questions about the plan on this page
+ * (MDE_GET_SUMMARY): planned credits, courses with warnings, lock and note
+ * counts, and when course history was last fetched. MDE_FOCUS_CARD scrolls to
+ * and highlights one of the listed courses.
+ *
+ * Reads everything from the other features, so it never fetches on its own.
+ */
+window.MDE.registerFeature({
+  id: "summary",
+
+  init() {
+    /***********************
+     * Config
+     ***********************/
+
+    const HISTORY_META_KEY = "mdeHistoryMeta_v2";
+    const WARNING_SELECTOR = ".mde-prereq-badge, .mde-offered-badge";
+
+    /***********************
+     * Summary
+     ***********************/
+
+    /**
+     * When the service worker last fetched course history for this student.
+     * @returns {Promise<number|null>} epoch ms
+     */
+    async function readHistorySavedAt() {
+      const key = await window.MDE.scopedKey(HISTORY_META_KEY);
+      const meta = (await chrome.storage.local.get(key))[key];
+      return meta?.savedAt || null;
+    }
+
+    /**
+     * @returns {Promise<{ studentId: string|null, planFound: boolean, totalCredits: number, courseCount: number, warnings: object[], lockedCount: number, noteCount: number, historySavedAt: number|null, prereqsEnabled: boolean }>}
+     */
+    async function buildSummary() {
+      const state = window.MDE.prereqs?.getPlanState();
+      const items = state?.items || [];
+
+      let totalCredits = 0;
+      let lockedCount = 0;
+      let noteCount = 0;
+      const warnings = [];
+
+      // One storage read each for the whole plan
+      const isLocked = (await window.MDE.lockcards?.readLocks()) || (() => false);
+      const noteFor = (await window.MDE.notes?.readNotes()) || (() => "");
+
+      for (const item of items) {
+        const cardId = window.MDE.getCardId(item.cardEl);
+
+        totalCredits += item.credits || 0;
+        if (isLocked(cardId)) lockedCount++;
+        if (noteFor(item.cardEl)) noteCount++;
+
+        // Same warnings the cards show (prereq and term-offering badges)
+        const badges = Array.from(item.cardEl.querySelectorAll(WARNING_SELECTOR));
+        if (badges.length) {
+          warnings.push({
+            cardId,
+            code: item.courseCode,
+            term: item.termLabel,
+            detail: badges.map((b) => b.getAttribute("aria-label") || "").filter(Boolean).join("; "),
+          });
+        }
+      }
+
+      return {
+        studentId: await window.MDE.getStudentId(),
+        planFound: Boolean(state?.terms.length),
+        totalCredits,
+        courseCount: items.length,
+        warnings,
+        lockedCount,
+        noteCount,
+        historySavedAt: await readHistorySavedAt(),
+        prereqsEnabled: state?.enabled ?? false,
+      };
+    }
+
+    /***********************
+     * Focus a card
+     ***********************/
+
+    /**
+     * Finds a card by id, falling back to the first card with the course code.
+     * @param {{ cardId?: string|null, code?: string }} target
+     * @returns {Element|null}
+     */
+    function findCard({ cardId, code }) {
+      const items = window.MDE.prereqs?.getPlanState().items || [];
+
+      const byId = cardId ? items.find((it) => window.MDE.getCardId(it.cardEl) === cardId) : null;
+      const match = byId || items.find((it) => it.courseCode === code);
+      return match?.cardEl || null;
+    }
+
+    /***********************
+     * Start
+     ***********************/
+
+    return {
+      onMessage(msg, _sender, sendResponse) {
+        if (msg?.type === "MDE_GET_SUMMARY") {
+          buildSummary()
+            .then((summary) => sendResponse({ ok: true, ...summary }))
+            .catch((e) => sendResponse({ ok: false, error: String(e?.message || e) }));
+          return true; // async response
+        }
+
+        if (msg?.type === "MDE_FOCUS_CARD") {
+          const cardEl = findCard(msg);
+          if (cardEl) window.MDE.revealCard(cardEl);
+          sendResponse({ ok: Boolean(cardEl) });
+        }
+      },
+    };
+  },
+});
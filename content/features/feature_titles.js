@@ -1,61 +1,31 @@
 /**
  * Feature: titles
  * Adds a permanent, title-cased course name under each course code.
+ * Falls back to the offline catalog when the site's aria-label is missing
+ * or truncated.
  */
 window.MDE.registerFeature({
   id: "titles",
+  label: "Show full course titles",
+  settingKey: "mdeEnabled",
 
-  init() {
+  async init() {
     // Matches course codes like "CS 321", "MTH 251", "ECE 271"
     const COURSE_CODE_REGEX = /^[A-Z]{2,4}\s?\d{3}$/;
 
-    /**
-     * Converts all-caps course title to title case:
-     * - keeps small words lowercase (except at start)
-     * - preserves Roman numerals (I, II, III, IV...)
-     * - strips leading special characters
-     * @param {string} raw
-     * @returns {string}
-     */
-    function formatCourseTitle(raw) {
-      const small = new Set(["and", "of", "to"]);
-
-      const s = (raw || "")
-        .trim()
-        .replace(/^[^A-Za-z0-9]+/, "")
-        .replace(/\s+/g, " ");
-
-      if (!s) return s;
-
-      return s
-        .toLowerCase()
-        .split(" ")
-        .map((w, i) => {
-          // Roman numerals
-          if (/^[ivx]+$/.test(w)) return w.toUpperCase();
-
-          // Keep small words lowercase unless first word
-          if (i !== 0 && small.has(w)) return w;
-
-          // Capitalize first letter
-          return w.charAt(0).toUpperCase() + w.slice(1);
-        })
-        .join(" ");
-    }
-
     /**
      * True if this element looks like a course code in MyDegrees:
-     * - has an aria-label (used by the site for course title)
+     * - has an aria-label (used by the site for course title), or is the
+     *   code line of a planner card (some cards render without one)
      * - textContent matches a course code
      * @param {Element} el
      * @returns {boolean}
      */
     function isCourseCodeElement(el) {
-      const aria = el.getAttribute("aria-label");
-      if (!aria) return false;
-
       const text = (el.textContent || "").trim();
-      return COURSE_CODE_REGEX.test(text);
+      if (!COURSE_CODE_REGEX.test(text)) return false;
+
+      return el.hasAttribute("aria-label") || Boolean(el.closest("#term-container [draggable]"));
     }
 
     /**
@@ -64,17 +34,16 @@ window.MDE.registerFeature({
      * @param {Element} el
      */
     function addCourseTitleLine(el) {
-      const aria = el.getAttribute("aria-label");
-      if (!aria) return;
-
-      const title = formatCourseTitle(aria.trim());
-      if (!title) return;
-
       // Track which course code this element currently represents
       const courseCode = (el.textContent || "").trim();
 
-      // If we already processed this exact course code, do nothing
-      if (el.dataset.mdeProcessed === courseCode) return;
+      const title = window.MDE.readCourseTitle(el);
+      if (!title) return;
+
+      // If we already processed this exact course code and title (and the
+      // line is still there), do nothing
+      const marker = `${courseCode}|${title}`;
+      if (el.dataset.mdeProcessed === marker && el.nextElementSibling?.dataset?.mdeInjected === "1") return;
 
       // If a title line already exists right after this element, update it
       let line = el.nextElementSibling;
@@ -90,46 +59,81 @@ window.MDE.registerFeature({
       }
 
       // Mark processed for this course code (prevents stale titles on reused nodes)
-      el.dataset.mdeProcessed = courseCode;
+      el.dataset.mdeProcessed = marker;
     }
 
+    // Course codes outside the planner (audit, course lists) only show as aria-labels
+    const CANDIDATE_SELECTOR = "[aria-label]";
+
     /**
-     * Scans the page for candidate elements and enhances them.
+     * Titles one planner card from the planner model.
+     * @param {{ el: Element }} card
      */
-    function processPage() {
-      const candidates = document.querySelectorAll("[aria-label]");
-      for (const el of candidates) {
-        if (isCourseCodeElement(el)) addCourseTitleLine(el);
+    function processCard(card) {
+      for (const p of card.el.querySelectorAll("p")) {
+        if (isCourseCodeElement(p)) addCourseTitleLine(p);
       }
     }
 
     /**
-     * Enables/disables injected title lines via the root HTML class.
-     * @param {boolean} enabled
+     * Titles course codes in one part of the page outside the planner.
+     * @param {Element} root
      */
-    function setEnabled(enabled) {
-      document.documentElement.classList.toggle("mde-enabled", Boolean(enabled));
+    function processOutsidePlanner(root) {
+      const candidates = [root, ...root.querySelectorAll(CANDIDATE_SELECTOR)];
+      for (const el of candidates) {
+        if (el.matches(CANDIDATE_SELECTOR) && !el.closest("#term-container") && isCourseCodeElement(el)) {
+          addCourseTitleLine(el);
+        }
+      }
     }
 
     /**
-     * Initializes the saved enabled/disabled state on page load.
+     * Titles what a re-render touched: the planner cards in or around it
+     * (from the model), or the node itself when it's elsewhere on the page.
+     * @param {Element} node
      */
-    async function initEnabledState() {
-      const { mdeEnabled = true } = await chrome.storage.sync.get({ mdeEnabled: true });
-      setEnabled(mdeEnabled);
-    }
+    function processNode(node) {
+      if (!node.closest("#term-container")) {
+        processOutsidePlanner(node);
+        if (!node.querySelector("#term-container")) return;
+      }
 
-    // Start feature
-    processPage();
-    initEnabledState();
+      const card = window.MDE.planner.cardFor(node);
+      if (card) processCard(card);
+      else window.MDE.planner.getCards().filter((c) => node.contains(c.el)).forEach(processCard);
+    }
 
-    // Re-run when MyDegrees re-renders content
-    const observer = new MutationObserver(() => processPage());
-    observer.observe(document.body, { childList: true, subtree: true });
+    /**
+     * Enables/disables injected title lines via the root HTML class.
+     * @param {boolean} enabled
+     */
+    function setEnabled(enabled) {
+      document.documentElement.classList.toggle("mde-enabled", Boolean(enabled));
+    }
 
-    // Allow popup to toggle without reload
-    chrome.runtime.onMessage.addListener((msg) => {
-      if (msg?.type === "MDE_SET_ENABLED") setEnabled(msg.enabled);
-    });
+    // Start feature (lines stay hidden until enable()). Wait for the catalog
+    // so truncated titles are right the first time; then the page as it is
+    // now, once, and after that only what the planner model reports.
+    await window.MDE.catalog.load();
+
+    window.MDE.planner.getCards().forEach(processCard);
+    processOutsidePlanner(document.body);
+
+    const unsubscribe = [
+      window.MDE.planner.on("card-added", ({ card }) => processCard(card)),
+      window.MDE.planner.on("nodes-changed", ({ nodes }) => nodes.forEach(processNode)),
+    ];
+
+    return {
+      enable: () => setEnabled(true),
+      disable: () => setEnabled(false),
+      destroy() {
+        unsubscribe.forEach((off) => off());
+        setEnabled(false);
+        document.querySelectorAll(".mde-course-title").forEach((el) => el.remove());
+        document.querySelectorAll("[data-mde-processed]").forEach((el) => delete el.dataset.mdeProcessed);
+      },
+    };
   },
 });
@@ -0,0 +1,66 @@
+/**
+ * MyDegrees Enhancer – Grade scale
+ *
+ * The one copy of the letter-grade scale. Loaded both as a content script
+ * (prerequisite minimum grades) and by the background service worker via
+ * importScripts() (ranking retakes in course history), so it only relies on
+ * globalThis.
+ */
+
+globalThis.MDE = globalThis.MDE || {};
+
+globalThis.MDE.grades = (function () {
+  const GRADE_POINTS = {
+    A: 12, "A-": 11,
+    "B+": 10, B: 9, "B-": 8,
+    "C+": 7, C: 6, "C-": 5,
+    "D+": 4, D: 3, "D-": 2,
+    F: 0,
+  };
+
+  // Grades that never satisfy a prerequisite (fail, withdraw, incomplete, no-pass, audit)
+  const NON_PASSING_GRADES = new Set(["F", "W", "WF", "NP", "NC", "N", "U", "I", "X", "E", "AU"]);
+
+  function normalize(grade) {
+    return String(grade || "").trim().toUpperCase();
+  }
+
+  /**
+   * @param {string} grade
+   * @returns {boolean} false for fail/withdraw/incomplete/no-pass/audit grades
+   */
+  function isPassing(grade) {
+    return !NON_PASSING_GRADES.has(normalize(grade));
+  }
+
+  /**
+   * Points for a letter grade.
+   * @param {string} grade
+   * @returns {number|null} null for grades the scale doesn't know (pass, transfer, ...)
+   */
+  function points(grade) {
+    const g = normalize(grade);
+    return g in GRADE_POINTS ? GRADE_POINTS[g] : null;
+  }
+
+  /**
+   * True if a history grade meets the minimum. Pass/transfer and other non-letter
+   * grades the scale doesn't know are accepted so we never flag on a format we can't read.
+   * @param {string} grade
+   * @param {string|null} minGrade "" or null means any passing grade
+   * @returns {boolean}
+   */
+  function meetsMinimum(grade, minGrade) {
+    if (!isPassing(grade)) return false;
+
+    const have = points(grade);
+    const need = minGrade ? points(minGrade) : null;
+    return have === null || need === null || have >= need;
+  }
+
+  return {
+    isPassing,
+    points,
+    meetsMinimum,
+  };
+})();
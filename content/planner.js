@@ -0,0 +1,280 @@
+/**
+ * MyDegrees Enhancer – Planner Model
+ *
+ * The one MutationObserver for the whole extension. After each burst of page
+ * changes it re-reads the planner's terms and cards (only if the burst
+ * touched #term-container) and tells subscribers what changed, so features
+ * react to events instead of each re-scanning the page:
+ *
+ *   nodes-changed { nodes }          elements the site added or re-rendered, anywhere
+ *                                    (including ones that lost something we injected)
+ *   card-added    { card }           a card element appeared (decorate it)
+ *   card-removed  { card }           a card element is gone
+ *   card-moved    { card, from }     a card is now in another term ({ termCode, termLabel })
+ *   terms-changed { terms }          term columns were added, removed or relabeled
+ *   change        { added, removed, moved, termsChanged }
+ *                                    once per burst, when any of the above happened
+ *   dom-changed   {}                 once per burst, for any change (ours included)
+ *
+ * A card is { el, cardId, code, termIndex, termCode, termLabel }. Changes
+ * inside our own injected elements ([data-mde-injected]) never count as
+ * planner changes, so decorating a card doesn't trigger another pass.
+ */
+
+window.MDE = window.MDE || {};
+
+window.MDE.planner = (function () {
+  const COURSE_CODE_REGEX = /^([A-Z]{2,4})\s?(\d{3}[A-Za-z]?)$/;
+  const INJECTED_SELECTOR = "[data-mde-injected]";
+  const SETTLE_MS = 100;
+
+  const listeners = new Map();
+
+  let terms = [];
+  let cards = [];
+  // Card element -> card, from the last read
+  let byEl = new Map();
+
+  let pendingNodes = new Set();
+  let plannerTouched = true; // read once at start
+  let timer = null;
+  let observer = null;
+
+  /***********************
+   * Events
+   ***********************/
+
+  /**
+   * Subscribes to a planner event.
+   * @param {string} event
+   * @param {Function} fn
+   * @returns {Function} unsubscribe
+   */
+  function on(event, fn) {
+    if (!listeners.has(event)) listeners.set(event, new Set());
+    listeners.get(event).add(fn);
+    return () => listeners.get(event)?.delete(fn);
+  }
+
+  function emit(event, detail) {
+    for (const fn of listeners.get(event) || []) {
+      try {
+        fn(detail);
+      } catch (e) {
+        // One subscriber can't stop the others
+        window.MDE.diagnostics.log("error", `planner:${event}`, e);
+      }
+    }
+  }
+
+  /***********************
+   * Reading the planner
+   ***********************/
+
+  /**
+   * Course code shown on a card ("CS 161"), or null.
+   * @param {Element} cardEl
+   * @returns {string|null}
+   */
+  function readCardCode(cardEl) {
+    for (const p of cardEl.querySelectorAll("p")) {
+      const m = (p.textContent || "").trim().match(COURSE_CODE_REGEX);
+      if (m) return `${m[1]} ${m[2].toUpperCase()}`;
+    }
+    return null;
+  }
+
+  /**
+   * Reads every term column and the course cards in it, in page order.
+   * @returns {{ terms: object[], cards: object[] }}
+   */
+  function readPlanner() {
+    const nextTerms = window.MDE.readTermColumns();
+    const nextCards = [];
+
+    for (const term of nextTerms) {
+      const seen = new Set();
+
+      for (const p of term.columnEl.querySelectorAll("p")) {
+        if (p.closest(INJECTED_SELECTOR) || !COURSE_CODE_REGEX.test((p.textContent || "").trim())) continue;
+
+        // Locked cards are draggable="false" but still planned
+        const el = p.closest("div[draggable]");
+        if (!el || seen.has(el)) continue;
+        seen.add(el);
+
+        nextCards.push({
+          el,
+          cardId: window.MDE.getCardId(el),
+          code: readCardCode(el),
+          termIndex: term.termIndex,
+          termCode: term.termCode,
+          termLabel: term.label,
+        });
+      }
+    }
+
+    return { terms: nextTerms, cards: nextCards };
+  }
+
+  function termsSignature(list) {
+    return list.map((t) => `${t.termIndex}:${t.termCode}`).join(",");
+  }
+
+  /**
+   * Re-reads the planner and emits what changed since the last read.
+   * A card re-rendered as a new element is "added" (so it gets decorated);
+   * it's also "moved" if the same card id now sits in another term.
+   */
+  function refresh() {
+    const next = readPlanner();
+    const nextByEl = new Map(next.cards.map((c) => [c.el, c]));
+
+    const added = [];
+    const removed = [];
+    const moved = [];
+
+    for (const card of next.cards) {
+      const prev = byEl.get(card.el);
+      if (!prev || prev.code !== card.code) added.push(card);
+      else if (prev.termCode !== card.termCode) moved.push({ card, from: prev });
+    }
+
+    for (const card of cards) {
+      const now = nextByEl.get(card.el);
+      if (!now || now.code !== card.code) removed.push(card);
+    }
+
+    // Same card id removed in one place and added in another: the site re-rendered a move
+    const removedById = new Map(removed.filter((c) => c.cardId).map((c) => [c.cardId, c]));
+    for (const card of added) {
+      const from = removedById.get(card.cardId);
+      if (from && from.termCode !== card.termCode) moved.push({ card, from });
+    }
+
+    const termsChanged = termsSignature(terms) !== termsSignature(next.terms);
+
+    terms = next.terms;
+    cards = next.cards;
+    byEl = nextByEl;
+
+    for (const card of removed) emit("card-removed", { card });
+    for (const card of added) emit("card-added", { card });
+    for (const { card, from } of moved) {
+      emit("card-moved", { card, from: { termCode: from.termCode, termLabel: from.termLabel } });
+    }
+    if (termsChanged) emit("terms-changed", { terms });
+
+    if (added.length || removed.length || moved.length || termsChanged) {
+      emit("change", { added, removed, moved, termsChanged });
+    }
+  }
+
+  /***********************
+   * Observer
+   ***********************/
+
+  function isInjected(node) {
+    const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    return Boolean(el?.closest(INJECTED_SELECTOR));
+  }
+
+  /**
+   * Sorts one mutation: ours (ignored for planner purposes), and otherwise
+   * which elements changed and whether the planner was involved.
+   * @param {MutationRecord} record
+   */
+  function collect(record) {
+    if (isInjected(record.target)) return;
+
+    const changed = [...record.addedNodes].filter((n) => !isInjected(n));
+    const removedTheirs = [...record.removedNodes].some((n) => !isInjected(n));
+
+    // Only our own nodes went away (we removed them, or the site re-rendered
+    // over them): the element they were in needs decorating again
+    if (record.type === "childList" && !changed.length && !removedTheirs) {
+      if (record.removedNodes.length) pendingNodes.add(record.target);
+      return;
+    }
+
+    // Text edits (a reused card showing another course) count as the parent changing
+    if (record.type === "characterData") changed.push(record.target.parentElement);
+
+    for (const node of changed) {
+      if (node?.nodeType === Node.ELEMENT_NODE) pendingNodes.add(node);
+      else if (node?.parentElement) pendingNodes.add(node.parentElement);
+    }
+
+    const target = record.target.nodeType === Node.ELEMENT_NODE ? record.target : record.target.parentElement;
+    const container = document.querySelector("#term-container");
+    if (!container || !target || container.contains(target) || target.contains(container)) {
+      plannerTouched = true;
+    }
+  }
+
+  function flush() {
+    timer = null;
+
+    const nodes = [...pendingNodes].filter((n) => n.isConnected);
+    pendingNodes = new Set();
+    if (nodes.length) emit("nodes-changed", { nodes });
+
+    if (plannerTouched) {
+      plannerTouched = false;
+      refresh();
+    }
+
+    emit("dom-changed", {});
+  }
+
+  function start() {
+    if (observer) return;
+
+    observer = new MutationObserver((records) => {
+      records.forEach(collect);
+      if (!timer) timer = setTimeout(flush, SETTLE_MS);
+    });
+    observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+
+    refresh();
+  }
+
+  function stop() {
+    observer?.disconnect();
+    observer = null;
+    if (timer) clearTimeout(timer);
+    timer = null;
+  }
+
+  /***********************
+   * Public API
+   ***********************/
+
+  return {
+    on,
+    start,
+    stop,
+
+    /** @returns {object[]} cards from the last read, in page order */
+    getCards: () => cards,
+
+    /** @returns {object[]} term columns from the last read (see readTermColumns) */
+    getTerms: () => terms,
+
+    /**
+     * The card for an element inside it, if it's on the planner.
+     * @param {Element} el
+     * @returns {object|null}
+     */
+    cardFor(el) {
+      const cardEl = el?.closest?.("div[draggable]");
+      return (cardEl && byEl.get(cardEl)) || null;
+    },
+
+    /**
+     * Re-reads the planner right away (e.g. before answering the popup),
+     * emitting any changes found.
+     */
+    refresh,
+  };
+})();
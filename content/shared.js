@@ -1,36 +1,613 @@
 /**
  * MyDegrees Enhancer – Shared Feature Registry
  *
- * Each feature file calls window.MDE.registerFeature({ id, init }).
+ * Each feature file calls window.MDE.registerFeature({ id, init, ... }).
  * Then content.js calls window.MDE.initFeatures() to run them.
  *
- * Note: init() may be async in some features. This registry intentionally
- * does not await them, so all features start immediately and independently.
+ * Lifecycle: init() runs once (it may be async) and may return hooks that
+ * share its closure:
+ *   applySettings(values)  the feature's options (see settings below), after
+ *              init and whenever one changes
+ *   enable()   the feature's setting is on (called after init, and on toggle)
+ *   disable()  the setting was turned off: remove injected UI
+ *   onMessage(msg, sender, sendResponse)
+ *              a runtime message, only while the feature is on; return true
+ *              to answer asynchronously (like chrome.runtime.onMessage)
+ *   destroy()  the extension was reloaded or removed: also stop observers and
+ *              listeners (defaults to disable())
+ *
+ * A feature that declares settingKey (a chrome.storage.sync boolean) gets an
+ * on/off toggle in the popup with its label and description; the registry
+ * reads the setting and routes toggles, so features never do either. Its
+ * other options are declared as settings ({ [syncKey]: default }); the
+ * registry reads them and passes every change to applySettings. Every
+ * feature's status (and the error, if init or a hook threw) is reported to
+ * the popup (MDE_GET_FEATURES, and the last report in mdeFeatureStatus_v1).
+ *
+ * Features learn about page changes from the planner model
+ * (content/planner.js, window.MDE.planner), which the registry starts before
+ * any init() runs, rather than observing the DOM themselves.
+ *
+ * Errors a feature would otherwise swallow go to the diagnostics log
+ * (content/diagnostics.js, window.MDE.diagnostics.log); the registry logs
+ * failed inits and hooks itself.
+ *
+ * Note: features start independently; one failing or slow init() doesn't
+ * hold up or break the others.
  */
 
 window.MDE = window.MDE || {};
 window.MDE.features = window.MDE.features || [];
 
+const FEATURE_STATUS_KEY = "mdeFeatureStatus_v1"; // local: { updatedAt, features: [...] }
+const UNLOAD_CHECK_MS = 3000;
+// Text of a course code element: "CS 161", "MTH251", "ECE 271H"
+const COURSE_CODE_TEXT_REGEX = /^[A-Z]{2,4}\s?\d{3}[A-Za-z]?$/;
+
 /**
  * Register a feature module.
- * @param {{ id: string, init: Function }} feature
+ * @param {{
+ *   id: string,
+ *   init: Function,
+ *   label?: string,
+ *   description?: string,
+ *   settingKey?: string,
+ *   defaultEnabled?: boolean,
+ *   settings?: Record<string, unknown>,
+ * }} feature
  */
 window.MDE.registerFeature = function registerFeature(feature) {
-  window.MDE.features.push(feature);
+  window.MDE.features.push({
+    ...feature,
+    defaultEnabled: feature.defaultEnabled ?? true,
+    settings: feature.settings || {},
+    hooks: {},
+    enabled: false,
+    status: "starting", // starting | enabled | disabled | running | failed | destroyed
+    error: "",
+  });
+};
+
+function findFeature(id) {
+  return window.MDE.features.find((f) => f.id === id) || null;
+}
+
+function markFailed(f, e) {
+  f.status = "failed";
+  f.error = String(e?.message || e);
+  window.MDE.diagnostics.log("error", `feature:${f.id}`, e);
+}
+
+/**
+ * Passes a feature's current option values to its applySettings hook.
+ * @param {object} f registered feature
+ * @param {Record<string, unknown>} values at least the feature's settings keys
+ */
+async function applyFeatureSettings(f, values) {
+  if (!f.hooks.applySettings || !Object.keys(f.settings).length) return;
+  if (f.status === "failed" || f.status === "destroyed") return;
+
+  try {
+    const own = Object.fromEntries(Object.keys(f.settings).map((key) => [key, values[key]]));
+    await f.hooks.applySettings(own);
+  } catch (e) {
+    markFailed(f, e);
+  }
+}
+
+/**
+ * Runs a feature's enable or disable hook and records the outcome.
+ * @param {object} f registered feature
+ * @param {boolean} enabled
+ */
+async function applyFeatureEnabled(f, enabled) {
+  if (f.status === "failed" || f.status === "destroyed") return;
+
+  f.enabled = Boolean(enabled);
+
+  try {
+    await (f.enabled ? f.hooks.enable?.() : f.hooks.disable?.());
+    f.status = f.settingKey ? (f.enabled ? "enabled" : "disabled") : "running";
+  } catch (e) {
+    markFailed(f, e);
+  }
+}
+
+/**
+ * Status of every feature, for the popup.
+ * @returns {Array<{ id: string, label: string, description: string, settingKey: string, defaultEnabled: boolean, enabled: boolean, status: string, error: string }>}
+ */
+window.MDE.getFeatureStatus = function getFeatureStatus() {
+  return window.MDE.features.map((f) => ({
+    id: f.id,
+    label: f.label || "",
+    description: f.description || "",
+    settingKey: f.settingKey || "",
+    defaultEnabled: f.defaultEnabled,
+    enabled: f.enabled,
+    status: f.status,
+    error: f.error,
+  }));
+};
+
+/**
+ * Saves the status report so the popup can show it without a planner tab.
+ */
+function saveFeatureStatus() {
+  chrome.storage.local
+    .set({ [FEATURE_STATUS_KEY]: { updatedAt: Date.now(), features: window.MDE.getFeatureStatus() } })
+    .catch(() => {
+      // Extension reloaded; nothing to report to
+    });
+}
+
+/**
+ * Turns a feature on or off, saving the setting when it has one.
+ * @param {string} id
+ * @param {boolean} enabled
+ */
+window.MDE.setFeatureEnabled = async function setFeatureEnabled(id, enabled) {
+  const f = findFeature(id);
+  if (!f) return;
+
+  if (f.settingKey) await chrome.storage.sync.set({ [f.settingKey]: Boolean(enabled) });
+  await applyFeatureEnabled(f, enabled);
+  saveFeatureStatus();
 };
 
 /**
  * Run all registered features.
- * Each init() is called in a try/catch so one feature can't break others.
+ * Each one is started in its own try/catch so one feature can't break others;
+ * a failure is recorded in its status instead.
  */
-window.MDE.initFeatures = function initFeatures() {
+window.MDE.initFeatures = async function initFeatures() {
+  const defaults = {};
   for (const f of window.MDE.features) {
+    if (f.settingKey) defaults[f.settingKey] = f.defaultEnabled;
+    Object.assign(defaults, f.settings);
+  }
+
+  const settings = chrome.storage.sync.get(defaults);
+
+  window.MDE.planner.start();
+
+  await Promise.all(
+    window.MDE.features.map(async (f) => {
+      try {
+        f.hooks = (await f.init()) || {};
+      } catch (e) {
+        markFailed(f, e);
+        return;
+      }
+
+      await applyFeatureSettings(f, await settings);
+      await applyFeatureEnabled(f, f.settingKey ? (await settings)[f.settingKey] : true);
+    })
+  );
+
+  saveFeatureStatus();
+  window.MDE.diagnostics.start();
+  watchForUnload();
+};
+
+/**
+ * Tears every feature down (destroy hooks, or disable when there is none)
+ * and removes the shared UI.
+ */
+window.MDE.destroyFeatures = function destroyFeatures() {
+  for (const f of window.MDE.features) {
+    if (f.status === "destroyed") continue;
+
     try {
-      f.init();
+      if (f.status !== "failed") (f.hooks.destroy || f.hooks.disable)?.();
     } catch (e) {
-      // Intentionally silent in production.
-      // For debugging:
-      // console.log("[MDE] feature failed:", f?.id, e);
+      // Tearing down anyway
     }
+
+    f.status = "destroyed";
+  }
+
+  window.MDE.planner.stop();
+  window.MDE.diagnostics.stop();
+  window.MDE.closePanel();
+  document.querySelectorAll(".mde-toolbar, .mde-toast").forEach((el) => el.remove());
+};
+
+/**
+ * Destroys the features when the extension is reloaded, updated or removed.
+ * This script keeps running after that, but chrome.runtime.id is gone and it
+ * can no longer read settings or reach the service worker.
+ */
+function watchForUnload() {
+  const timer = setInterval(() => {
+    if (chrome.runtime?.id) return;
+    clearInterval(timer);
+    window.MDE.destroyFeatures();
+  }, UNLOAD_CHECK_MS);
+}
+
+// Central message routing: toggles from the popup (MDE_SET_FEATURE_ENABLED,
+// after saving the setting) and the "toggle-<id>" keyboard shortcuts, then
+// everything else to the onMessage hooks of features that are on
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg?.type === "MDE_GET_FEATURES") {
+    sendResponse({ ok: true, features: window.MDE.getFeatureStatus() });
+    return;
+  }
+
+  if (msg?.type === "MDE_SET_FEATURE_ENABLED") {
+    const f = findFeature(msg.id);
+    if (f) applyFeatureEnabled(f, msg.enabled).then(saveFeatureStatus);
+    return;
+  }
+
+  const toggle = msg?.type === "MDE_COMMAND" && String(msg.command || "").match(/^toggle-(.+)$/);
+  if (toggle) {
+    // The registry is the only list of toggles; a manifest command that
+    // names no toggleable feature is a mistake worth surfacing
+    const f = findFeature(toggle[1]);
+    if (!f?.settingKey) {
+      window.MDE.diagnostics.log("error", "commands", `${msg.command} matches no feature with a settingKey`);
+      return;
+    }
+
+    const enabled = !f.enabled;
+    window.MDE.setFeatureEnabled(f.id, enabled);
+    window.MDE.toast(`${f.label || f.id}: ${enabled ? "on" : "off"}`, { timeoutMs: 2000 });
+    return;
+  }
+
+  // Everything else goes to the features that are on
+  let async = false;
+  for (const f of window.MDE.features) {
+    if (!f.hooks.onMessage || (f.status !== "enabled" && f.status !== "running")) continue;
+
+    try {
+      if (f.hooks.onMessage(msg, sender, sendResponse) === true) async = true;
+    } catch (e) {
+      window.MDE.diagnostics.log("error", `feature:${f.id}`, e);
+    }
+  }
+  return async;
+});
+
+// Feature options changed (popup, or another device through sync)
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== "sync") return;
+
+  for (const f of window.MDE.features) {
+    const keys = Object.keys(f.settings);
+    if (!keys.some((key) => key in changes)) continue;
+
+    chrome.storage.sync
+      .get(f.settings)
+      .then((values) => applyFeatureSettings(f, values))
+      .then(saveFeatureStatus)
+      .catch(() => {
+        // Extension reloaded
+      });
+  }
+});
+
+/**
+ * Converts all-caps course title to title case:
+ * - keeps small words lowercase (except at start)
+ * - preserves Roman numerals (I, II, III, IV...)
+ * - strips leading special characters
+ * @param {string} raw
+ * @returns {string}
+ */
+window.MDE.formatCourseTitle = function formatCourseTitle(raw) {
+  const small = new Set(["and", "of", "to"]);
+
+  const s = (raw || "")
+    .trim()
+    .replace(/^[^A-Za-z0-9]+/, "")
+    .replace(/\s+/g, " ");
+
+  if (!s) return s;
+
+  return s
+    .toLowerCase()
+    .split(" ")
+    .map((w, i) => {
+      // Roman numerals
+      if (/^[ivx]+$/.test(w)) return w.toUpperCase();
+
+      // Keep small words lowercase unless first word
+      if (i !== 0 && small.has(w)) return w;
+
+      // Capitalize first letter
+      return w.charAt(0).toUpperCase() + w.slice(1);
+    })
+    .join(" ");
+};
+
+/**
+ * Full title for a course: the code element's aria-label unless it's missing
+ * or cut off ("..."), in which case the offline catalog's title when the
+ * course is listed. The titles feature shows this, and export and search use
+ * it so they match the page.
+ * @param {Element} el the course code element, or a card containing one
+ * @returns {string} "" when there's no course code or title
+ */
+window.MDE.readCourseTitle = function readCourseTitle(el) {
+  const isCode = (node) => COURSE_CODE_TEXT_REGEX.test((node.textContent || "").trim());
+  const codeEl = isCode(el) ? el : Array.from(el.querySelectorAll("p")).find(isCode);
+  if (!codeEl) return "";
+
+  const aria = (codeEl.getAttribute("aria-label") || "").trim();
+  const truncated = /(\.\.\.|…)$/.test(aria);
+  if (aria && !truncated) return window.MDE.formatCourseTitle(aria);
+
+  const code = codeEl.textContent.trim().replace(/^([A-Z]+)\s?/, "$1 ");
+  return window.MDE.catalog.peek(code)?.title || window.MDE.formatCourseTitle(aria);
+};
+
+// "4 Credits", "1-16 credits", "3 cr", "Credits: 4" (ranges count their minimum)
+const CREDITS_REGEX = /(\d+(?:\.\d+)?)(?:\s*-\s*\d+(?:\.\d+)?)?\s*(?:credits?|cr|hours?)\b/i;
+const CREDITS_LABEL_REGEX = /\bcredits?:?\s*(\d+(?:\.\d+)?)/i;
+
+/**
+ * Credits for a planner card: the value shown on it, ignoring text we
+ * injected ourselves (titles, notes) so a note like "take with 4 credits of
+ * lab" is not counted; otherwise the offline catalog's, when listed. Credit
+ * totals, prereqs' plan state (export, summary) all count with this.
+ * @param {Element} cardEl
+ * @param {string|null} code e.g. "CS 161"
+ * @returns {number|null}
+ */
+window.MDE.readCardCredits = function readCardCredits(cardEl, code) {
+  const walker = document.createTreeWalker(cardEl, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) =>
+      node.parentElement?.closest("[data-mde-injected]") ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT,
+  });
+
+  const parts = [];
+  while (walker.nextNode()) parts.push(walker.currentNode.nodeValue || "");
+
+  const text = parts.join(" ").replace(/\s+/g, " ");
+  const m = text.match(CREDITS_REGEX) || text.match(CREDITS_LABEL_REGEX);
+  if (m) return Number(m[1]);
+
+  return (code && window.MDE.catalog.peek(code)?.credits) ?? null;
+};
+
+/**
+ * Each card has a stable id embedded in the "More options..." button.
+ * Example: aria-controls="action-menu-plan-requirement-CL-4bfff70e..."
+ * We use the "CL-..." part as the unique key.
+ * @param {Element} cardEl
+ * @returns {string|null}
+ */
+window.MDE.getCardId = function getCardId(cardEl) {
+  const btn = cardEl.querySelector('button[aria-controls^="action-menu-plan-requirement-"]');
+  const controls = btn?.getAttribute("aria-controls") || "";
+  const m = controls.match(/\b(CL-[A-Za-z0-9]+)\b/);
+  return m ? m[1] : null;
+};
+
+/**
+ * MyDegrees term code for a season/year ("Fall", "2025" -> "202601").
+ * The academic year starts in Summer, so Summer and Fall use the next year.
+ * @param {string} season
+ * @param {string|number} year
+ * @returns {string|null}
+ */
+window.MDE.termLabelToCode = function termLabelToCode(season, year) {
+  const suffix = { Summer: "00", Fall: "01", Winter: "02", Spring: "03" }[season];
+  if (!suffix) return null;
+
+  const y = Number(year);
+  const codeYear = season === "Summer" || season === "Fall" ? y + 1 : y;
+  return `${codeYear}${suffix}`;
+};
+
+/**
+ * Reads the planner's term columns, in page order.
+ * Columns without a recognizable "Fall 2025" / "2025 Fall" header are skipped
+ * but still count toward termIndex, so indexes match #term-container children.
+ * @returns {Array<{ termIndex: number, columnEl: Element, headerEl: Element, label: string, termCode: string }>}
+ */
+window.MDE.readTermColumns = function readTermColumns() {
+  const termContainer = document.querySelector("#term-container");
+  if (!termContainer) return [];
+
+  const TERM_REGEX = /\b(20\d{2})\s+(Fall|Winter|Spring|Summer)\b|\b(Fall|Winter|Spring|Summer)\s+(20\d{2})\b/;
+  const columns = Array.from(termContainer.children);
+  const out = [];
+
+  for (let termIndex = 0; termIndex < columns.length; termIndex++) {
+    const columnEl = columns[termIndex];
+
+    const termMatches = Array.from(columnEl.querySelectorAll("h1,h2,h3,h4,p,span,div")).filter((el) =>
+      TERM_REGEX.test((el.textContent || "").trim())
+    );
+
+    // Wrapper divs also contain the label; the header is the innermost match
+    const headerEl = termMatches.find(
+      (el) => !termMatches.some((other) => other !== el && el.contains(other))
+    );
+    if (!headerEl) continue;
+
+    const m = (headerEl.textContent || "").trim().match(TERM_REGEX);
+    const season = m[2] || m[3];
+    const year = m[1] || m[4];
+
+    const termCode = window.MDE.termLabelToCode(season, year);
+    if (!termCode) continue;
+
+    out.push({ termIndex, columnEl, headerEl, label: `${season} ${year}`, termCode });
   }
+
+  return out;
+};
+
+/**
+ * Sends a request to the background service worker (the single owner of
+ * MyDegrees API calls) and unwraps its { ok, error, ...data } reply.
+ * @param {{ type: string }} message
+ * @returns {Promise<object>}
+ */
+window.MDE.requestBackground = async function requestBackground(message) {
+  const res = await chrome.runtime.sendMessage(message);
+  if (!res?.ok) throw new Error(res?.error || `${message.type} failed`);
+  return res;
+};
+
+/**
+ * Id of the student whose plan is on the page: the one in the URL when an
+ * advisor is viewing a student, otherwise the signed-in user. Also records
+ * the student in the popup's profile list. Resolves to null if unknown.
+ * @returns {Promise<string|null>}
+ */
+window.MDE.getStudentId = function getStudentId() {
+  if (!window.MDE.studentIdPromise) {
+    const params = new URLSearchParams(location.search || location.hash.replace(/^#[^?]*\?/, ""));
+    const fromPage = params.get("studentId") || params.get("student-id") || "";
+
+    window.MDE.studentIdPromise = window.MDE.requestBackground({ type: "MDE_GET_PROFILE", studentId: fromPage })
+      .then((res) => res.studentId || null)
+      .catch(() => fromPage || null);
+  }
+
+  return window.MDE.studentIdPromise;
+};
+
+/**
+ * Storage key for data that belongs to one student ("mdeLockedCards_v1:<id>").
+ * Falls back to the plain key when the student can't be identified.
+ * @param {string} base
+ * @returns {Promise<string>}
+ */
+window.MDE.scopedKey = async function scopedKey(base) {
+  const studentId = await window.MDE.getStudentId();
+  return studentId ? `${base}:${studentId}` : base;
+};
+
+/**
+ * Scrolls a planner card into view and briefly outlines it.
+ * @param {Element} cardEl
+ */
+window.MDE.revealCard = function revealCard(cardEl) {
+  cardEl.scrollIntoView({ behavior: "smooth", block: "center", inline: "center" });
+  cardEl.classList.remove("mde-flash");
+  void cardEl.offsetWidth; // restart the animation
+  cardEl.classList.add("mde-flash");
+};
+
+/**
+ * Returns the extension toolbar that sits just above the planner columns,
+ * creating it on first use. Features add their own buttons to it.
+ * @returns {Element|null} null when the planner isn't on the page
+ */
+window.MDE.ensureToolbar = function ensureToolbar() {
+  const termContainer = document.querySelector("#term-container");
+  if (!termContainer) return null;
+
+  let bar = termContainer.previousElementSibling;
+  if (!bar || !bar.classList.contains("mde-toolbar")) {
+    bar = document.createElement("div");
+    bar.className = "mde-toolbar";
+    bar.dataset.mdeInjected = "1";
+    termContainer.insertAdjacentElement("beforebegin", bar);
+  }
+
+  return bar;
+};
+
+/**
+ * Opens a full-screen panel (one at a time) and returns its body element.
+ * Closes on the close button, a backdrop click or Escape.
+ * @param {{ id: string, title: string }} opts
+ * @returns {Element}
+ */
+window.MDE.openPanel = function openPanel({ id, title }) {
+  window.MDE.closePanel();
+
+  const backdrop = document.createElement("div");
+  backdrop.className = "mde-panel-backdrop";
+  backdrop.dataset.mdeInjected = "1";
+  backdrop.dataset.mdePanel = id;
+
+  const panel = document.createElement("div");
+  panel.className = "mde-panel";
+  panel.setAttribute("role", "dialog");
+  panel.setAttribute("aria-label", title);
+
+  const header = document.createElement("div");
+  header.className = "mde-panel-header";
+
+  const heading = document.createElement("h2");
+  heading.textContent = title;
+
+  const close = document.createElement("button");
+  close.type = "button";
+  close.className = "mde-panel-close";
+  close.setAttribute("aria-label", "Close");
+  close.textContent = "×";
+  close.addEventListener("click", () => window.MDE.closePanel());
+
+  const body = document.createElement("div");
+  body.className = "mde-panel-body";
+
+  header.append(heading, close);
+  panel.append(header, body);
+  backdrop.appendChild(panel);
+
+  backdrop.addEventListener("click", (e) => {
+    if (e.target === backdrop) window.MDE.closePanel();
+  });
+
+  document.body.appendChild(backdrop);
+  document.addEventListener("keydown", onPanelKeydown, true);
+  close.focus();
+
+  return body;
+};
+
+/**
+ * Closes the open panel, if any.
+ */
+window.MDE.closePanel = function closePanel() {
+  document.querySelectorAll(".mde-panel-backdrop").forEach((el) => el.remove());
+  document.removeEventListener("keydown", onPanelKeydown, true);
+};
+
+function onPanelKeydown(e) {
+  if (e.key === "Escape") window.MDE.closePanel();
+}
+
+/**
+ * Shows a short message at the bottom of the page (one at a time).
+ * An optional action adds a button that runs it and dismisses the toast.
+ * @param {string} message
+ * @param {{ action?: { label: string, onClick: Function }, timeoutMs?: number }} [opts]
+ */
+window.MDE.toast = function toast(message, { action, timeoutMs = 6000 } = {}) {
+  document.querySelectorAll(".mde-toast").forEach((el) => el.remove());
+
+  const el = document.createElement("div");
+  el.className = "mde-toast";
+  el.dataset.mdeInjected = "1";
+  el.setAttribute("role", "status");
+
+  const text = document.createElement("span");
+  text.textContent = message;
+  el.appendChild(text);
+
+  if (action) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "mde-toast-action";
+    btn.textContent = action.label;
+    btn.addEventListener("click", () => {
+      el.remove();
+      action.onClick();
+    });
+    el.appendChild(btn);
+  }
+
+  document.body.appendChild(el);
+  setTimeout(() => el.remove(), timeoutMs);
 };
@@ -0,0 +1,65 @@
+/**
+ * Validates data/courses.json against the catalog schema.
+ *
+ * Usage: node scripts/validate-catalog.js [path]
+ * Exits with status 1 and lists every problem found.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const CATALOG_PATH = process.argv[2] || path.join(__dirname, "..", "data", "courses.json");
+
+const CODE_KEY_REGEX = /^[A-Z]{2,4} \d{3}[A-Z]?$/;
+
+function validate(data) {
+  const errors = [];
+
+  if (data?.version !== 1) errors.push(`version: expected 1, got ${JSON.stringify(data?.version)}`);
+
+  const courses = data?.courses;
+  if (!courses || typeof courses !== "object" || Array.isArray(courses)) {
+    errors.push("courses: expected an object keyed by course code");
+    return errors;
+  }
+
+  for (const [code, entry] of Object.entries(courses)) {
+    const at = `courses["${code}"]`;
+
+    if (!CODE_KEY_REGEX.test(code)) errors.push(`${at}: key must look like "CS 261"`);
+
+    if (!entry || typeof entry !== "object") {
+      errors.push(`${at}: expected an object`);
+      continue;
+    }
+
+    if (typeof entry.title !== "string" || !entry.title.trim()) errors.push(`${at}.title: expected a non-empty string`);
+
+    if (typeof entry.credits !== "number" || !(entry.credits > 0)) {
+      errors.push(`${at}.credits: expected a positive number`);
+    }
+
+    for (const field of Object.keys(entry)) {
+      if (field !== "title" && field !== "credits") errors.push(`${at}.${field}: unknown field (only title and credits are used)`);
+    }
+  }
+
+  return errors;
+}
+
+let data;
+try {
+  data = JSON.parse(fs.readFileSync(CATALOG_PATH, "utf8"));
+} catch (err) {
+  console.error(`Could not read ${CATALOG_PATH}: ${err.message}`);
+  process.exit(1);
+}
+
+const errors = validate(data);
+if (errors.length) {
+  for (const e of errors) console.error(e);
+  console.error(`\n${errors.length} problem(s) in ${CATALOG_PATH}`);
+  process.exit(1);
+}
+
+console.log(`${CATALOG_PATH}: ${Object.keys(data.courses).length} courses OK`);
@@ -8,67 +8,487 @@ async function getActiveTabId() {
 }
 
 /**
- * Sends a message to the active tab (if one exists).
- * @param {string} type Message type (e.g., "MDE_SET_ENABLED")
- * @param {boolean} enabled Toggle value to send
+ * Sends an arbitrary message object to the active tab (if one exists).
+ * @param {{ type: string }} message
  */
-async function sendToActiveTab(type, enabled) {
+async function sendMessageToActiveTab(message) {
   const tabId = await getActiveTabId();
   if (!tabId) return;
-  chrome.tabs.sendMessage(tabId, { type, enabled });
+  chrome.tabs.sendMessage(tabId, message).catch(() => {
+    // Not a planner tab
+  });
+}
+
+/**
+ * Sends a message to the active tab and returns its reply.
+ * @param {{ type: string }} message
+ * @returns {Promise<object|null>} null when no planner page answered
+ */
+async function requestActiveTab(message) {
+  const tabId = await getActiveTabId();
+  if (!tabId) return null;
+
+  try {
+    return (await chrome.tabs.sendMessage(tabId, message)) || null;
+  } catch (e) {
+    // No content script on this tab (not a MyDegrees page)
+    return null;
+  }
+}
+
+/**
+ * Fills the dashboard at the top of the popup from the planner tab's summary.
+ */
+async function renderSummary() {
+  const empty = document.getElementById("summary-empty");
+  const body = document.getElementById("summary-body");
+
+  const summary = await requestActiveTab({ type: "MDE_GET_SUMMARY" });
+
+  if (!summary?.ok || !summary.planFound) {
+    empty.textContent = "Open your plan on MyDegrees to see a summary here.";
+    empty.hidden = false;
+    body.hidden = true;
+    return;
+  }
+
+  empty.hidden = true;
+  body.hidden = false;
+
+  document.getElementById("summary-credits").textContent = String(summary.totalCredits);
+  document.getElementById("summary-warning-count").textContent = summary.prereqsEnabled
+    ? String(summary.warnings.length)
+    : "Off";
+  document.getElementById("summary-locked").textContent = String(summary.lockedCount);
+  document.getElementById("summary-notes").textContent = String(summary.noteCount);
+
+  // Each warning scrolls to its card on the page
+  const list = document.getElementById("summary-warnings");
+  list.textContent = "";
+
+  for (const warning of summary.warnings) {
+    const li = document.createElement("li");
+    const btn = document.createElement("button");
+    btn.type = "button";
+
+    const code = document.createElement("span");
+    code.className = "summary-warning-code";
+    code.textContent = `${warning.code} · ${warning.term}`;
+    btn.appendChild(code);
+
+    if (warning.detail) {
+      const detail = document.createElement("span");
+      detail.className = "summary-warning-detail";
+      detail.textContent = warning.detail;
+      btn.appendChild(detail);
+    }
+
+    btn.addEventListener("click", () => {
+      sendMessageToActiveTab({ type: "MDE_FOCUS_CARD", cardId: warning.cardId, code: warning.code });
+    });
+
+    li.appendChild(btn);
+    list.appendChild(li);
+  }
+
+  document.getElementById("summary-history").textContent = summary.historySavedAt
+    ? `Course history refreshed ${new Date(summary.historySavedAt).toLocaleString()}`
+    : "Course history not loaded yet.";
+
+  // Refetches history and expires cached prereqs/offerings; the page updates itself
+  const refresh = document.getElementById("refresh-caches");
+  refresh.onclick = async () => {
+    refresh.disabled = true;
+    refresh.textContent = "Refreshing…";
+
+    const res = await chrome.runtime.sendMessage({ type: "MDE_REFRESH_CACHES", studentId: summary.studentId });
+
+    refresh.disabled = false;
+    refresh.textContent = res?.ok ? "Refresh now" : "Refresh failed, try again";
+    if (res?.ok) await renderSummary();
+  };
+}
+
+/**
+ * Feature list with status: live from the planner tab's registry, otherwise
+ * the last report a planner tab saved.
+ * @returns {Promise<{ features: object[], live: boolean }|null>}
+ */
+async function loadFeatureStatus() {
+  const res = await requestActiveTab({ type: "MDE_GET_FEATURES" });
+  if (res?.ok) return { features: res.features, live: true };
+
+  const { mdeFeatureStatus_v1: saved } = await chrome.storage.local.get("mdeFeatureStatus_v1");
+  return saved?.features ? { features: saved.features, live: false } : null;
+}
+
+/**
+ * Builds an on/off toggle for every feature that declares a setting, in
+ * registry order, and lists features that failed to start. Extra options in
+ * the page ([data-feature-options="<id>"]) move under their feature's toggle.
+ */
+async function renderFeatureToggles() {
+  const container = document.getElementById("feature-toggles");
+  const errors = document.getElementById("feature-errors");
+  const report = await loadFeatureStatus();
+
+  if (!report) {
+    const empty = document.createElement("p");
+    empty.className = "toggle-subtext toggle-subtext--flush";
+    empty.textContent = "Open your plan on MyDegrees once to see feature settings here.";
+    container.appendChild(empty);
+    return;
+  }
+
+  const withSettings = report.features.filter((f) => f.settingKey);
+  const defaults = Object.fromEntries(withSettings.map((f) => [f.settingKey, f.defaultEnabled]));
+  const settings = await chrome.storage.sync.get(defaults);
+
+  for (const feature of withSettings) {
+    const group = document.createElement("div");
+    group.className = "toggle-group";
+
+    const row = document.createElement("label");
+    row.className = "row";
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = Boolean(settings[feature.settingKey]);
+    checkbox.addEventListener("change", async () => {
+      const enabled = checkbox.checked;
+      await chrome.storage.sync.set({ [feature.settingKey]: enabled });
+      await sendMessageToActiveTab({ type: "MDE_SET_FEATURE_ENABLED", id: feature.id, enabled });
+    });
+
+    const label = document.createElement("span");
+    label.textContent = feature.label || feature.id;
+
+    row.append(checkbox, label);
+    group.appendChild(row);
+
+    if (feature.description) {
+      const subtext = document.createElement("div");
+      subtext.className = "toggle-subtext";
+      subtext.textContent = feature.description;
+      group.appendChild(subtext);
+    }
+
+    document.querySelectorAll(`[data-feature-options="${feature.id}"]`).forEach((el) => {
+      el.hidden = false;
+      group.appendChild(el);
+    });
+
+    container.appendChild(group);
+  }
+
+  const failed = report.features.filter((f) => f.status === "failed");
+  errors.hidden = !failed.length;
+  errors.textContent = failed
+    .map((f) => `${f.label || f.id} failed to start${report.live ? "" : " last time"}: ${f.error}`)
+    .join("\n");
+}
+
+/**
+ * Diagnostics log and the latest selector health report (kept by the
+ * service worker, see background/diagnostics.js).
+ * @returns {Promise<{ entries: object[], health: object|null }>}
+ */
+async function loadDiagnostics() {
+  const { mdeDiagnostics_v1: entries = [], mdeSelectorHealth_v1: health = null } = await chrome.storage.local.get([
+    "mdeDiagnostics_v1",
+    "mdeSelectorHealth_v1",
+  ]);
+  return { entries: Array.isArray(entries) ? entries : [], health };
+}
+
+function formatHealthCheck(check) {
+  const state = check.ok === true ? "OK" : check.ok === false ? "FAIL" : "n/a";
+  return `${state}  ${check.label}: ${check.detail}`;
+}
+
+function formatDiagnostic(entry) {
+  return `${new Date(entry.at).toISOString()}  [${entry.kind}] ${entry.source}: ${entry.message}`;
+}
+
+/**
+ * Shows selector health and the log, newest entry first.
+ */
+async function renderDiagnostics() {
+  const { entries, health } = await loadDiagnostics();
+
+  const healthList = document.getElementById("diagnostics-health");
+  healthList.textContent = "";
+
+  if (!health?.checks?.length) {
+    const li = document.createElement("li");
+    li.className = "diagnostics-na";
+    li.textContent = "No selector checks yet. Open your plan on MyDegrees.";
+    healthList.appendChild(li);
+  }
+
+  for (const check of health?.checks || []) {
+    const li = document.createElement("li");
+    if (check.ok === false) li.className = "diagnostics-fail";
+    if (check.ok === null) li.className = "diagnostics-na";
+    li.textContent = formatHealthCheck(check);
+    healthList.appendChild(li);
+  }
+
+  document.getElementById("diagnostics-count").textContent = entries.length
+    ? `Log (${entries.length} entries)`
+    : "Log (empty)";
+
+  const log = document.getElementById("diagnostics-log");
+  log.textContent = "";
+
+  for (const entry of entries.slice().reverse()) {
+    const li = document.createElement("li");
+    li.textContent = formatDiagnostic(entry);
+    log.appendChild(li);
+  }
+}
+
+/**
+ * Plain-text report for bug reports: versions, feature status, selector
+ * health and the whole log.
+ * @returns {Promise<string>}
+ */
+async function buildDiagnosticsReport() {
+  const { entries, health } = await loadDiagnostics();
+  const features = (await loadFeatureStatus())?.features || [];
+
+  const lines = [
+    `MyDegrees Enhancer ${chrome.runtime.getManifest().version}`,
+    `Browser: ${navigator.userAgent}`,
+    `Generated: ${new Date().toISOString()}`,
+    "",
+    "Features:",
+    ...features.map((f) => `  ${f.id}: ${f.status}${f.error ? ` (${f.error})` : ""}`),
+    "",
+    `Selector health${health ? ` (${health.url}, ${new Date(health.at).toISOString()})` : ""}:`,
+    ...(health?.checks || []).map((c) => `  ${formatHealthCheck(c)}`),
+    "",
+    `Log (${entries.length} entries, oldest first):`,
+    ...entries.map((e) => `  ${formatDiagnostic(e)}`),
+  ];
+
+  return lines.join("\n");
 }
 
 document.addEventListener("DOMContentLoaded", async () => {
-  // Grab UI elements
-  const toggleTitles = document.getElementById("toggle");
-  const togglePrereqs = document.getElementById("toggle-prereqs");
-  const toggleNotes = document.getElementById("toggle-notes");
-  const toggleLocks = document.getElementById("toggle-lockcards");
+  renderSummary();
+  renderFeatureToggles();
+  renderDiagnostics();
 
-  // Load saved settings (defaults = ON)
+  // Grab UI elements (feature on/off toggles are built by renderFeatureToggles)
+  const toggleAutoLock = document.getElementById("toggle-autolock");
+  const toggleSync = document.getElementById("toggle-sync");
+  const syncStatus = document.getElementById("sync-status");
+  const creditMin = document.getElementById("credit-min");
+  const creditMax = document.getElementById("credit-max");
+  const degreeOverride = document.getElementById("degree-override");
+  const minGrade = document.getElementById("min-grade");
+  const prereqTtl = document.getElementById("prereq-ttl");
+
+  // Load saved settings
   const {
-    mdeEnabled = true,
-    mdePrereqsEnabled = true,
-    mdeNotesEnabled = true,
-    mdeLockCardsEnabled = true,
+    mdeAutoLockCompleted = false,
+    mdeSyncEnabled = false,
+    mdeCreditMin = 12,
+    mdeCreditMax = 18,
+    mdeDegreeOverride = "",
+    mdeMinGrade = "C-",
+    mdePrereqTtlDays = 7,
   } = await chrome.storage.sync.get({
-    mdeEnabled: true,
-    mdePrereqsEnabled: true,
-    mdeNotesEnabled: true,
-    mdeLockCardsEnabled: true,
+    mdeAutoLockCompleted: false,
+    mdeSyncEnabled: false,
+    mdeCreditMin: 12,
+    mdeCreditMax: 18,
+    mdeDegreeOverride: "",
+    mdeMinGrade: "C-",
+    mdePrereqTtlDays: 7,
+  });
+
+  // Initialize control states
+  toggleAutoLock.checked = mdeAutoLockCompleted;
+  toggleSync.checked = mdeSyncEnabled;
+  creditMin.value = String(mdeCreditMin);
+  creditMax.value = String(mdeCreditMax);
+  degreeOverride.value = mdeDegreeOverride;
+  minGrade.value = mdeMinGrade;
+  prereqTtl.value = String(mdePrereqTtlDays);
+
+  // Feature options are saved to sync storage only: open planner tabs pick
+  // up the change through the feature registry
+
+  // Credit limits (0 disables that side of the check)
+  async function saveCreditLimits() {
+    const min = Math.max(0, Number(creditMin.value) || 0);
+    const max = Math.max(0, Number(creditMax.value) || 0);
+    await chrome.storage.sync.set({ mdeCreditMin: min, mdeCreditMax: max });
+  }
+
+  creditMin.addEventListener("change", saveCreditLimits);
+  creditMax.addEventListener("change", saveCreditLimits);
+
+  // Degree override (blank = auto-detect). The service worker watches this
+  // setting, re-fetches the audits and tells every planner tab.
+  degreeOverride.addEventListener("change", async () => {
+    await chrome.storage.sync.set({ mdeDegreeOverride: degreeOverride.value.trim() });
   });
 
-  // Initialize checkbox states
-  toggleTitles.checked = mdeEnabled;
-  togglePrereqs.checked = mdePrereqsEnabled;
-  toggleNotes.checked = mdeNotesEnabled;
-  toggleLocks.checked = mdeLockCardsEnabled;
-
-  // Full course titles toggle
-  toggleTitles.addEventListener("change", async () => {
-    const enabled = toggleTitles.checked;
-    await chrome.storage.sync.set({ mdeEnabled: enabled });
-    await sendToActiveTab("MDE_SET_ENABLED", enabled);
+  // Minimum grade for prerequisites ("" = any passing grade)
+  minGrade.addEventListener("change", async () => {
+    await chrome.storage.sync.set({ mdeMinGrade: minGrade.value });
   });
 
-  // Prerequisite warnings toggle
-  togglePrereqs.addEventListener("change", async () => {
-    const enabled = togglePrereqs.checked;
-    await chrome.storage.sync.set({ mdePrereqsEnabled: enabled });
-    await sendToActiveTab("MDE_SET_PREREQS_ENABLED", enabled);
+  // How long the service worker trusts cached prereqs (0 = until "Refresh now")
+  prereqTtl.addEventListener("change", async () => {
+    const days = Math.max(0, Math.round(Number(prereqTtl.value) || 0));
+    prereqTtl.value = String(days);
+    await chrome.storage.sync.set({ mdePrereqTtlDays: days });
   });
 
-  // Notes visibility toggle
-  toggleNotes.addEventListener("change", async () => {
-    const enabled = toggleNotes.checked;
-    await chrome.storage.sync.set({ mdeNotesEnabled: enabled });
-    await sendToActiveTab("MDE_SET_NOTES_ENABLED", enabled);
+  // Prerequisite graph (rendered on the planner page)
+  document.getElementById("open-graph").addEventListener("click", async () => {
+    await sendMessageToActiveTab({ type: "MDE_OPEN_GRAPH" });
+    window.close();
   });
 
-  // Lock cards toggle
-  toggleLocks.addEventListener("change", async () => {
-    const enabled = toggleLocks.checked;
-    await chrome.storage.sync.set({ mdeLockCardsEnabled: enabled });
-    await sendToActiveTab("MDE_SET_LOCKCARDS_ENABLED", enabled);
+  // Plan history (rendered on the planner page)
+  document.getElementById("open-history").addEventListener("click", async () => {
+    await sendMessageToActiveTab({ type: "MDE_OPEN_HISTORY" });
+    window.close();
+  });
+
+  // Plan export (the planner page builds and downloads the file)
+  document.querySelectorAll(".export-btn").forEach((btn) => {
+    btn.addEventListener("click", async () => {
+      await sendMessageToActiveTab({ type: "MDE_EXPORT", format: btn.dataset.format });
+    });
+  });
+
+  // Auto-lock courses the audit shows as completed or in progress
+  toggleAutoLock.addEventListener("change", async () => {
+    await chrome.storage.sync.set({ mdeAutoLockCompleted: toggleAutoLock.checked });
+  });
+
+  // Cross-device sync. The service worker does the syncing and reports
+  // problems (e.g. over quota) in mdeSyncStatus_v1.
+  function renderSyncStatus(status) {
+    const problem = toggleSync.checked && (status?.state === "quota" || status?.state === "error");
+    syncStatus.hidden = !problem;
+    syncStatus.textContent = problem ? status.message : "";
+  }
+
+  toggleSync.addEventListener("change", async () => {
+    await chrome.storage.sync.set({ mdeSyncEnabled: toggleSync.checked });
+    renderSyncStatus(null);
+  });
+
+  const { mdeSyncStatus_v1: status } = await chrome.storage.local.get("mdeSyncStatus_v1");
+  renderSyncStatus(status);
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && changes.mdeSyncStatus_v1) renderSyncStatus(changes.mdeSyncStatus_v1.newValue);
+    if (area === "local" && (changes.mdeDiagnostics_v1 || changes.mdeSelectorHealth_v1)) renderDiagnostics();
+  });
+
+  // Diagnostics: copy a report for bug reports, or start the log over
+  const copyDiagnostics = document.getElementById("copy-diagnostics");
+  copyDiagnostics.addEventListener("click", async () => {
+    try {
+      await navigator.clipboard.writeText(await buildDiagnosticsReport());
+      copyDiagnostics.textContent = "Copied";
+    } catch (e) {
+      copyDiagnostics.textContent = "Couldn't copy";
+    }
+    setTimeout(() => (copyDiagnostics.textContent = "Copy report"), 1500);
+  });
+
+  document.getElementById("clear-diagnostics").addEventListener("click", async () => {
+    await chrome.runtime.sendMessage({ type: "MDE_CLEAR_DIAGNOSTICS" });
+    await renderDiagnostics();
+  });
+
+  // Saved students: everything kept per student on this computer, with a
+  // two-click clear (the second click confirms)
+  const profilesList = document.getElementById("profiles");
+
+  async function renderProfiles() {
+    const all = await chrome.storage.local.get(null);
+    const profiles = all.mdeProfiles_v1 || {};
+    const ids = Object.keys(profiles).sort((a, b) => profiles[b].lastSeen - profiles[a].lastSeen);
+
+    profilesList.textContent = "";
+
+    if (!ids.length) {
+      const empty = document.createElement("li");
+      empty.className = "profile-meta";
+      empty.textContent = "None yet. Open a plan on MyDegrees.";
+      profilesList.appendChild(empty);
+      return;
+    }
+
+    for (const id of ids) {
+      const locks = Object.values(all[`mdeLockedCards_v1:${id}`] || {}).filter((v) => v === true).length;
+      const notes = Object.values(all[`mdeNotesCache_v2:${id}`] || {}).filter(Boolean).length;
+
+      const li = document.createElement("li");
+
+      const name = document.createElement("span");
+      name.className = "profile-name";
+      name.textContent = profiles[id].name ? `${profiles[id].name} (${id})` : id;
+
+      const meta = document.createElement("span");
+      meta.className = "profile-meta";
+      const snapshots = (all[`mdePlanSnapshots_v1:${id}`] || []).length;
+      meta.textContent = `${locks} locks, ${notes} notes, ${snapshots} snapshots`;
+
+      const clear = document.createElement("button");
+      clear.type = "button";
+      clear.textContent = "Clear";
+      clear.addEventListener("click", async () => {
+        if (!clear.dataset.armed) {
+          clear.dataset.armed = "1";
+          clear.textContent = "Confirm clear";
+          return;
+        }
+
+        clear.disabled = true;
+        await chrome.runtime.sendMessage({ type: "MDE_CLEAR_PROFILE", studentId: id });
+        await renderProfiles();
+      });
+
+      li.append(name, meta, clear);
+      profilesList.appendChild(li);
+    }
+  }
+
+  await renderProfiles();
+
+  // Keyboard shortcut cheat sheet (manifest "commands"; keys are set by the
+  // user on chrome://extensions/shortcuts, so read them back from Chrome)
+  const shortcutsList = document.getElementById("shortcuts");
+  const commands = await chrome.commands.getAll();
+
+  for (const command of commands) {
+    if (!command.description) continue;
+
+    const li = document.createElement("li");
+
+    const label = document.createElement("span");
+    label.textContent = command.description;
+
+    const keys = document.createElement("kbd");
+    keys.textContent = command.shortcut || "Not set";
+    if (!command.shortcut) keys.className = "shortcut-unset";
+
+    li.append(label, keys);
+    shortcutsList.appendChild(li);
+  }
+
+  document.getElementById("edit-shortcuts").addEventListener("click", () => {
+    chrome.tabs.create({ url: "chrome://extensions/shortcuts" });
   });
 });